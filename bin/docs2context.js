@@ -1,33 +1,304 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
-import { addDocumentation } from '../src/index.js';
-import { displayHeader } from '../src/ui.js';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { addDocumentation, buildDocumentation, searchDocumentation, EXIT_CODES } from '../src/index.js';
+import { loadConfig, mergeOptions } from '../src/config.js';
+import { PROVIDERS } from '../src/providers.js';
+import { startMcpServer } from '../src/mcp.js';
+import { FORMATS } from '../src/writers.js';
+import { QUERY_MODES } from '../src/canonical.js';
+import { BUNDLE_MODES } from '../src/sources.js';
+import { displayHeader, displayError } from '../src/ui.js';
 import chalk from 'chalk';
 
 const program = new Command();
 
+/**
+ * Parse the --pick option: a 1-based search result index or 'best'
+ * @param {string} value - Raw option value
+ * @returns {number|string} - Parsed pick
+ */
+function parsePick(value) {
+  if (value === 'best') return value;
+  const index = parseInt(value, 10);
+  if (!/^\d+$/.test(value) || index < 1) {
+    throw new InvalidArgumentError('Expected a positive number or "best".');
+  }
+  return index;
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} value - Raw option value
+ * @returns {number} - Parsed number
+ */
+function parsePositiveInt(value) {
+  const number = parseInt(value, 10);
+  if (!/^\d+$/.test(value) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive number.');
+  }
+  return number;
+}
+
+/**
+ * Parse a non-negative number option
+ * @param {string} value - Raw option value
+ * @returns {number} - Parsed number
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new InvalidArgumentError('Expected a non-negative number.');
+  }
+  return number;
+}
+
+/**
+ * Parse the --query-params option: a mode or a comma-separated list of parameter names
+ * @param {string} value - Raw option value
+ * @returns {string|string[]} - Mode, or the names of the parameters to keep
+ */
+function parseQueryParams(value) {
+  if (QUERY_MODES.includes(value)) return value;
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new InvalidArgumentError(`Expected ${QUERY_MODES.join(' or ')}, or a comma-separated list of parameter names.`);
+  }
+  return names;
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {string[]} [previous] - Values collected so far
+ * @returns {string[]} - All values
+ */
+function collect(value, previous = []) {
+  return previous.concat(value);
+}
+
+/**
+ * Report a config file that failed to load, as JSON when --json is given
+ * @param {Error} error - Error from loadConfig
+ * @param {string} [project] - Project the command was run for
+ * @param {boolean} [json] - Whether to print a machine-readable JSON result
+ */
+function reportConfigError(error, project, json) {
+  process.exitCode = EXIT_CODES.USAGE;
+  if (json) {
+    console.log(JSON.stringify({ ok: false, exitCode: EXIT_CODES.USAGE, project, error: error.message }, null, 2));
+  } else {
+    displayError(error.message);
+  }
+}
+
 program
   .name('docs2context')
+  // Options of the main command must come before a subcommand, so subcommands can reuse their names
+  .enablePositionalOptions()
   .description('CLI tool to scrape and aggregate documentation into a single markdown file')
   .version('0.1.0')
   .argument('<project>', 'Project name to search for documentation')
   .option('-u, --url <url>', 'Direct URL to documentation')
-  .option('-o, --output <path>', 'Output file path')
+  .option('-o, --output <path>', 'Output file, or directory for the tree and llms formats (default: output/<project>-docs.md)')
+  .addOption(
+    new Option('--format <format>', 'Output format (default: markdown)')
+      .choices(FORMATS)
+  )
   .option('-v, --verbose', 'Enable verbose logging')
-  .option('--disable-ai', 'Disable AI cleaning of content', false)
-  .option('-c, --concurrency <number>', 'Number of concurrent operations', '10')
-  .action((project, options) => {
+  .option('--config <path>', 'Config file to read options from (default: ./docs2context.config.json)')
+  .option('--disable-ai', 'Disable AI cleaning of content')
+  .option('-c, --concurrency <number>', 'Number of concurrent operations (default: 10)')
+  .option('-y, --yes', 'Run without prompts, picking the best search result unless --pick is given')
+  .option('--pick <n|best>', 'Search result to use without prompting (1-based index or "best")', parsePick)
+  .option('--json', 'Print a machine-readable JSON result (implies --yes)')
+  .option('--user-agent <string>', 'User-Agent to identify the crawler with')
+  .option('--delay <ms>', 'Minimum delay between requests to the same host in milliseconds (default: 0)')
+  .addOption(
+    new Option('--sitemap <mode>', 'Use sitemap.xml to seed the crawl, as the only page list, or not at all (default: seed)')
+      .choices(['seed', 'only', 'off'])
+  )
+  .option('--prefix <path>', 'Path prefix to confine the crawl to (default: the start URL\'s directory)')
+  .option('--no-confine', 'Crawl the whole host instead of only the start URL\'s path prefix')
+  .option('--include <pattern>', 'Only keep pages matching a glob or /regex/ (repeatable)', collect)
+  .option('--exclude <pattern>', 'Leave out pages matching a glob or /regex/ (repeatable)', collect)
+  .option('--doc-version <version>', 'Documentation version to scrape, e.g. 2.x or latest (default: the start URL\'s; prompts when there are several)')
+  .option('--lang <code>', 'Only keep pages in this language, e.g. en, ja or pt-br, or "all" (default: the start URL\'s language, else the start page\'s, else en)')
+  .option('--query-params <mode>', 'Query parameters to crawl URLs with: drop, keep, or a comma-separated list of names to keep (default: drop)', parseQueryParams)
+  .option('--max-depth <number>', 'Maximum link depth to crawl (default: 4)', parsePositiveInt)
+  .option('--max-pages <number>', 'Maximum number of pages to scrape (default: 500)', parsePositiveInt)
+  .option('--max-tokens <number>', 'Token budget for the output; lower priority pages are condensed or omitted to fit', parsePositiveInt)
+  .option('--split-tokens <number>', 'Split the output into parts of at most this many tokens, with an index file', parsePositiveInt)
+  .option('--split-bytes <number>', 'Split the output into parts of at most this many bytes, with an index file', parsePositiveInt)
+  .option('--refresh', 'Ignore the page cache and refetch every page')
+  .option('--cache-dir <path>', 'Directory for the page cache (default: cache in the data directory)')
+  .option('--data-dir <path>', 'Directory for the search index, page cache and checkpoints (default: .docs2context next to the config file, else in the current directory)')
+  .option('--resume', 'Continue an interrupted crawl from its last checkpoint')
+  .addOption(
+    new Option('--provider <name>', 'LLM provider for AI cleaning (default: openai)')
+      .choices(PROVIDERS)
+  )
+  .option('--model <name>', 'Model to clean content with (default depends on the provider)')
+  .option('--temperature <number>', 'Sampling temperature for AI cleaning (default: 0)', parseNumber)
+  .option('--ai-max-tokens <number>', 'Maximum tokens per AI response (default: 4000)', parsePositiveInt)
+  .option('--base-url <url>', 'API base URL for openai-compatible or local providers')
+  .option('--embeddings', 'Add embeddings to the search index (uses --provider unless --embedding-provider is given)')
+  .addOption(
+    new Option('--embedding-provider <name>', 'Provider to embed the search index with (implies --embeddings)')
+      .choices(PROVIDERS)
+  )
+  .option('--embedding-model <name>', 'Embedding model (default depends on the provider, implies --embeddings)')
+  .action(async (project, options) => {
     if (options.verbose) {
       process.env.LOG_LEVEL = 'debug';
     }
     
-    const scraperOptions = {
-      disableAI: options.disableAi === true,
-      concurrency: parseInt(options.concurrency, 10) || 10
-    };
+    let config;
+    try {
+      config = await loadConfig(options.config);
+    } catch (error) {
+      reportConfigError(error, project, options.json);
+      return;
+    }
+    
+    // Command line options override the config file
+    const scraperOptions = mergeOptions(config, {
+      disableAI: options.disableAi,
+      concurrency: options.concurrency !== undefined ? parseInt(options.concurrency, 10) || 10 : undefined,
+      yes: options.yes,
+      pick: options.pick,
+      json: options.json,
+      output: options.output,
+      format: options.format,
+      userAgent: options.userAgent,
+      delay: options.delay !== undefined ? parseInt(options.delay, 10) || 0 : undefined,
+      sitemap: options.sitemap,
+      prefix: options.prefix,
+      // --no-confine always has a value, so only take it when it was actually passed
+      confine: program.getOptionValueSource('confine') === 'cli' ? options.confine : undefined,
+      include: options.include,
+      exclude: options.exclude,
+      docVersion: options.docVersion,
+      lang: options.lang,
+      queryParams: options.queryParams,
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages,
+      maxTokens: options.maxTokens,
+      splitTokens: options.splitTokens,
+      splitBytes: options.splitBytes,
+      refresh: options.refresh,
+      cacheDir: options.cacheDir,
+      dataDir: options.dataDir,
+      resume: options.resume,
+      ai: {
+        provider: options.provider,
+        model: options.model,
+        temperature: options.temperature,
+        maxTokens: options.aiMaxTokens,
+        baseUrl: options.baseUrl
+      },
+      // The index is embedded when any embedding option is given here or in the config file
+      embeddings: options.embeddings || options.embeddingProvider || options.embeddingModel
+        ? {
+          provider: options.embeddingProvider || options.provider || config.ai?.provider,
+          model: options.embeddingModel,
+          baseUrl: options.baseUrl
+        }
+        : undefined
+    });
     
-    addDocumentation(project, options.url, scraperOptions);
+    process.exitCode = await addDocumentation(project, options.url, scraperOptions);
+  });
+
+program
+  .command('build')
+  .description('Scrape every source listed in the config file and compile them into one bundle or one output per source')
+  .option('--config <path>', 'Config file listing the sources (default: ./docs2context.config.json)')
+  .option('--project <name>', 'Project name (default: the config file\'s "project", else the current directory\'s name)')
+  .addOption(
+    new Option('--bundle <mode>', 'Write one bundle with a section per source, or one output per source (default: single)')
+      .choices(BUNDLE_MODES)
+  )
+  .option('-o, --output <path>', 'Output file or directory (default: under output/)')
+  .addOption(
+    new Option('--format <format>', 'Output format (default: markdown)')
+      .choices(FORMATS)
+  )
+  .option('--disable-ai', 'Disable AI cleaning of content for every source')
+  .option('--refresh', 'Ignore the page cache and refetch every page')
+  .option('--data-dir <path>', 'Directory for the search index, page cache and checkpoints (default: .docs2context next to the config file, else in the current directory)')
+  .option('--json', 'Print a machine-readable JSON result')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .action(async (options) => {
+    if (options.verbose) {
+      process.env.LOG_LEVEL = 'debug';
+    }
+
+    let config;
+    try {
+      config = await loadConfig(options.config);
+    } catch (error) {
+      reportConfigError(error, options.project, options.json);
+      return;
+    }
+
+    process.exitCode = await buildDocumentation(config, {
+      project: options.project,
+      bundle: options.bundle,
+      format: options.format,
+      output: options.output,
+      json: options.json,
+      // Command line options override every source's own
+      overrides: {
+        disableAI: options.disableAi,
+        refresh: options.refresh,
+        dataDir: options.dataDir
+      }
+    });
+  });
+
+program
+  .command('search')
+  .description('Search the local index of a scraped project (works offline)')
+  .argument('<project>', 'Project name that was scraped before')
+  .argument('<query>', 'What to search for')
+  .option('-n, --limit <number>', 'Maximum number of results (default: 5)', parsePositiveInt)
+  .option('--json', 'Print a machine-readable JSON result')
+  .option('--config <path>', 'Config file to read options from (default: ./docs2context.config.json)')
+  .option('--data-dir <path>', 'Directory the search index is kept in (default: .docs2context next to the config file, else in the current directory)')
+  .action(async (project, query, options) => {
+    let config;
+    try {
+      config = await loadConfig(options.config);
+    } catch (error) {
+      reportConfigError(error, project, options.json);
+      return;
+    }
+
+    process.exitCode = await searchDocumentation(project, query, {
+      limit: options.limit,
+      json: options.json,
+      embeddings: config.embeddings,
+      dataDir: options.dataDir || config.dataDir
+    });
+  });
+
+program
+  .command('mcp')
+  .description('Run a Model Context Protocol server over stdio exposing the scraped docs to agents')
+  .option('--config <path>', 'Config file to read scraping and search options from (default: ./docs2context.config.json)')
+  .option('--data-dir <path>', 'Directory for the search index, page cache and checkpoints (default: .docs2context next to the config file, else in the current directory)')
+  .action(async (options) => {
+    let config;
+    try {
+      config = await loadConfig(options.config);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = EXIT_CODES.USAGE;
+      return;
+    }
+
+    await startMcpServer(mergeOptions(config, { dataDir: options.dataDir }));
   });
 
 program.parse();
@@ -0,0 +1,143 @@
+import { splitBlocks } from './chunker.js';
+
+// Share of pages a block must appear on to count as boilerplate
+const MIN_SHARE = 0.5;
+
+// Fewer pages than this don't say enough about what repeats
+const MIN_PAGES = 4;
+
+// Fewest pages a block must appear on to count as boilerplate, however few pages there are
+const MIN_REPEATS = 3;
+
+// A list item that is nothing but a link, as in navigation menus
+const LINK_ITEM_PATTERN = /^\s*(?:[-*+]|\d+\.)\s+\[[^\]]*\]\([^)]*\)\s*$/;
+
+// Fewest visible characters of a paragraph that can be boilerplate. Shorter
+// ones are labels such as **Returns** or None that repeat on reference pages.
+const MIN_BLOCK_LENGTH = 20;
+
+/**
+ * Normalize a block of text for comparing it across pages
+ * @param {string} text - Block text
+ * @returns {string} - Text with whitespace collapsed
+ */
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a paragraph could be boilerplate: a menu of links, or prose
+ * long enough not to be a label. Anything with inline code is page content.
+ * @param {string} text - Paragraph text
+ * @returns {boolean} - Whether the paragraph may be removed when it repeats
+ */
+function isCandidate(text) {
+  if (text.includes('`')) return false;
+  const lines = text.split('\n');
+  if (lines.every(line => LINK_ITEM_PATTERN.test(line))) return true;
+  const visible = text.replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_~#>|-]/g, '');
+  return normalize(visible).length >= MIN_BLOCK_LENGTH;
+}
+
+/**
+ * Check whether a block is the source line every page starts with
+ * @param {Object} block - Block from splitBlocks
+ * @returns {boolean} - Whether it is the source line
+ */
+function isSourceLine(block) {
+  return block.type === 'text' && block.text.startsWith('Source: ');
+}
+
+/**
+ * Remove boilerplate that repeats across many pages, such as site headers,
+ * banners, menus and footers that extraction let through. Only the run of
+ * blocks right after a page's title and source line, and the run at its end,
+ * are looked at, so repeated content in the middle of pages stays. In those
+ * runs, paragraphs and lists found on at least half of the pages are removed,
+ * and so are link-only list items (menu entries) found on that many pages.
+ * Headings, code blocks, short labels and anything with inline code are
+ * always kept.
+ * @param {Array<Object>} pages - Pages with content, updated in place
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minShare] - Share of pages a block must appear on to be removed (default: 0.5)
+ * @returns {{blocks: number, pages: number}} - How many distinct repeated blocks were found and how many pages changed
+ */
+export function removeBoilerplate(pages, options = {}) {
+  const { minShare = MIN_SHARE } = options;
+  if (pages.length < MIN_PAGES) {
+    return { blocks: 0, pages: 0 };
+  }
+
+  const parsed = pages.map(page => splitBlocks(page.content));
+
+  // Count the pages each paragraph and menu entry appears on. The same page
+  // scraped under two URLs counts once, or its whole content would look repeated.
+  const blockCounts = new Map();
+  const lineCounts = new Map();
+  const countOnce = (counts, keys) => new Set(keys).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  const seen = new Set();
+  for (const blocks of parsed) {
+    const body = blocks
+      .filter(block => !isSourceLine(block))
+      .map(block => block.text)
+      .join('\n\n');
+    if (seen.has(body)) continue;
+    seen.add(body);
+
+    const texts = blocks.filter(block => block.type === 'text' && !isSourceLine(block));
+    countOnce(blockCounts, texts.filter(block => isCandidate(block.text)).map(block => normalize(block.text)));
+    countOnce(lineCounts, texts
+      .flatMap(block => block.text.split('\n'))
+      .filter(line => LINK_ITEM_PATTERN.test(line) && !line.includes('`'))
+      .map(normalize));
+  }
+
+  const threshold = Math.max(MIN_REPEATS, Math.ceil(seen.size * minShare));
+  const repeated = new Set(Array.from(blockCounts).filter(([, count]) => count >= threshold).map(([text]) => text));
+  const repeatedLines = new Set(Array.from(lineCounts).filter(([, count]) => count >= threshold).map(([line]) => line));
+
+  /**
+   * Strip the repeated parts of a block
+   * @param {Object} block - Block from splitBlocks
+   * @returns {{text: string|null, end: boolean}} - What is left of the block (null if nothing) and whether it ends the run of boilerplate
+   */
+  const stripBlock = block => {
+    if (block.type !== 'text' || isSourceLine(block)) return { text: block.text, end: true };
+    if (repeated.has(normalize(block.text))) return { text: null, end: false };
+
+    // Drop menu entries shared with other pages, keeping the rest of the list
+    const lines = block.text.split('\n');
+    const remaining = lines.filter(line => !(LINK_ITEM_PATTERN.test(line) && repeatedLines.has(normalize(line))));
+    if (remaining.every(line => line.trim() === '')) return { text: null, end: false };
+    return { text: remaining.join('\n'), end: true };
+  };
+
+  let changed = 0;
+  pages.forEach((page, i) => {
+    const blocks = parsed[i];
+    const texts = blocks.map(block => block.text);
+    let removed = false;
+    const strip = index => {
+      const { text, end } = stripBlock(blocks[index]);
+      if (text !== blocks[index].text) removed = true;
+      texts[index] = text;
+      return !end;
+    };
+
+    // The header starts after the page title and source line, the footer runs to the end
+    let start = 0;
+    while (start < blocks.length && ((start === 0 && blocks[0].type === 'heading') || isSourceLine(blocks[start]))) {
+      start++;
+    }
+    let first = start;
+    while (first < blocks.length && strip(first)) first++;
+    for (let last = blocks.length - 1; last > first && strip(last); last--);
+
+    if (removed) {
+      page.content = texts.filter(text => text !== null).join('\n\n');
+      changed++;
+    }
+  });
+
+  return { blocks: repeated.size, pages: changed };
+}
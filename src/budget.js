@@ -0,0 +1,127 @@
+import { splitSections } from './chunker.js';
+import { countTokens } from './tokens.js';
+
+// URL terms that mark introductory pages, which come first and are kept first
+const INTRO_TERMS = ['intro', 'getting-started', 'overview', 'index', 'readme', 'home', 'quickstart'];
+
+// Keeping an intro page is worth as much as this many inbound links
+const INTRO_WEIGHT = 1000;
+
+// Separators and list markup around each page, on top of its table of contents entry
+const PAGE_OVERHEAD_TOKENS = 8;
+
+const CONDENSED_NOTE = '_Condensed to fit the token budget, see the source for the full page._';
+
+// Longest paragraph a condensed page keeps, in characters
+const CONDENSED_PARAGRAPH_LENGTH = 300;
+
+/**
+ * Shorten a paragraph to its first sentence, or cut it at a word boundary
+ * @param {string} text - Paragraph text
+ * @returns {string} - Shortened paragraph
+ */
+function shortenParagraph(text) {
+  if (text.length <= CONDENSED_PARAGRAPH_LENGTH) return text;
+  const sentence = text.match(/^[\s\S]+?[.!?](?=\s)/);
+  if (sentence && sentence[0].length <= CONDENSED_PARAGRAPH_LENGTH) return sentence[0];
+  return `${text.slice(0, CONDENSED_PARAGRAPH_LENGTH).replace(/\s+\S*$/, '')}...`;
+}
+
+/**
+ * Check whether a page looks like an introduction or getting started guide
+ * @param {Object} page - Page with a url
+ * @returns {boolean} - Whether the page is introductory
+ */
+export function isIntroPage(page) {
+  const url = page.url.toLowerCase();
+  return INTRO_TERMS.some(term => url.includes(term));
+}
+
+/**
+ * Count how many other scraped pages link to each page
+ * @param {Array<Object>} pages - Scraped pages
+ * @param {Map<string, string[]>} links - Outgoing links of every fetched URL
+ * @param {function(string): string} [key] - Key pages are told apart by, so links match pages whatever form of their URL they use (default: the URL itself)
+ * @returns {Map<string, number>} - Inbound link count per page URL
+ */
+export function countInboundLinks(pages, links, key = url => url) {
+  const counts = new Map(pages.map(page => [key(page.url), 0]));
+  for (const [from, targets] of links) {
+    for (const target of new Set(targets.map(key))) {
+      if (target !== key(from) && counts.has(target)) {
+        counts.set(target, counts.get(target) + 1);
+      }
+    }
+  }
+  return new Map(pages.map(page => [page.url, counts.get(key(page.url))]));
+}
+
+/**
+ * Shrink a page to its outline: every heading with the start of the first paragraph below it.
+ * Code blocks are left out, since a partial example is worse than none.
+ * @param {string} content - Page markdown
+ * @returns {string} - Condensed markdown
+ */
+export function condensePage(content) {
+  const parts = [];
+  for (const section of splitSections(content)) {
+    const heading = section.blocks.find(block => block.type === 'heading');
+    const paragraph = section.blocks.find(block => block.type === 'text');
+    if (heading) parts.push(heading.text);
+    if (paragraph) parts.push(shortenParagraph(paragraph.text));
+  }
+  parts.push(CONDENSED_NOTE);
+  return parts.join('\n\n');
+}
+
+/**
+ * Choose which pages fit in a token budget. Pages are ranked with introductory
+ * pages first and then by how often other pages link to them; each page is kept
+ * whole if it fits, condensed to its outline if that fits, and omitted otherwise.
+ * Room for an appendix line per omitted page is always kept free.
+ * @param {Array<Object>} pages - Pages with url, title and content, in document order
+ * @param {number} maxTokens - Token budget for the whole bundle
+ * @param {Object} [options] - Budget options
+ * @param {Map<string, number>} [options.inbound] - Inbound link count per page URL
+ * @param {number} [options.reserved] - Tokens already used by the header and other fixed parts
+ * @returns {{pages: Array<Object>, condensed: Array<Object>, omitted: Array<Object>}} - Pages to include (in document order, condensed ones with shortened content) and the pages that were condensed or left out
+ */
+export function fitToBudget(pages, maxTokens, options = {}) {
+  const { inbound = new Map(), reserved = 0 } = options;
+
+  const priority = page => (isIntroPage(page) ? INTRO_WEIGHT : 0) + (inbound.get(page.url) || 0);
+  const ranked = pages
+    .map((page, index) => ({ page, index }))
+    .sort((a, b) => priority(b.page) - priority(a.page) || a.index - b.index);
+
+  // Every page starts out omitted, so its appendix line is paid for up front
+  const appendixLine = page => countTokens(`- [${page.title}](${page.url})`) + 1;
+  let remaining = maxTokens - reserved - pages.reduce((sum, page) => sum + appendixLine(page), 0);
+
+  const decisions = new Map();
+  for (const { page } of ranked) {
+    const available = remaining + appendixLine(page);
+    // The title appears in the table of contents twice, as link text and anchor
+    const overhead = countTokens(page.title) * 2 + PAGE_OVERHEAD_TOKENS;
+    const tokens = (page.tokens ?? countTokens(page.content)) + overhead;
+    if (tokens <= available) {
+      decisions.set(page.url, page);
+      remaining = available - tokens;
+      continue;
+    }
+
+    const content = condensePage(page.content);
+    const condensedTokens = countTokens(content) + overhead;
+    if (condensedTokens <= available) {
+      decisions.set(page.url, { ...page, content, tokens: countTokens(content), condensed: true });
+      remaining = available - condensedTokens;
+    }
+  }
+
+  const included = pages.filter(page => decisions.has(page.url)).map(page => decisions.get(page.url));
+  return {
+    pages: included,
+    condensed: included.filter(page => page.condensed),
+    omitted: pages.filter(page => !decisions.has(page.url))
+  };
+}
@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { dataPath } from './config.js';
+import { logDebug, logWarning } from './logger.js';
+
+/**
+ * Directory fetched pages are cached in unless --cache-dir or --data-dir says otherwise
+ */
+export const DEFAULT_CACHE_DIR = dataPath('cache');
+
+// Bump when the layout of cache entries changes so old entries are ignored
+const CACHE_VERSION = 1;
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+export function hashContent(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Create an on-disk cache of fetched pages keyed by URL
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.dir] - Cache directory
+ * @param {boolean} [options.refresh] - Ignore existing entries (they are still overwritten)
+ * @returns {{dir: string, get: Function, set: Function}} - Page cache
+ */
+export function createPageCache(options = {}) {
+  const {
+    dir = DEFAULT_CACHE_DIR,
+    refresh = false
+  } = options;
+
+  const entryPath = (url) => path.join(dir, `${hashContent(url).slice(0, 40)}.json`);
+
+  /**
+   * Read the cache entry for a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} - Cache entry, or null if there is none (or refresh is on)
+   */
+  async function get(url) {
+    if (refresh) return null;
+
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath(url), 'utf8'));
+      if (entry.version !== CACHE_VERSION || entry.url !== url) return null;
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logDebug(`Ignoring unreadable cache entry for ${url}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write the cache entry for a URL
+   * @param {string} url - Page URL
+   * @param {Object} entry - Entry to store
+   */
+  async function set(url, entry) {
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(entryPath(url), JSON.stringify({ ...entry, version: CACHE_VERSION, url }));
+    } catch (error) {
+      logWarning(`Failed to cache ${url}: ${error.message}`);
+    }
+  }
+
+  return { dir, get, set };
+}
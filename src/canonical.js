@@ -0,0 +1,122 @@
+import { URL } from 'url';
+import { hashContent } from './cache.js';
+
+/**
+ * Ways of handling query parameters: drop them all or keep them all. A list of
+ * parameter names keeps only those.
+ */
+export const QUERY_MODES = ['drop', 'keep'];
+
+// Query parameters that only record where a visitor came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|ref|ref_src)$/i;
+
+/**
+ * Check a query parameter setting from the command line or config file
+ * @param {string|string[]} queryParams - 'drop', 'keep' or the names of the parameters to keep
+ * @throws {Error} - If the setting is invalid
+ */
+export function checkQueryParams(queryParams) {
+  const valid = Array.isArray(queryParams)
+    ? queryParams.length > 0 && queryParams.every(name => typeof name === 'string' && name !== '')
+    : QUERY_MODES.includes(queryParams);
+  if (!valid) {
+    throw new Error(`Invalid query parameter setting ${JSON.stringify(queryParams)}: use ${QUERY_MODES.join(' or ')}, or a list of parameter names to keep`);
+  }
+}
+
+/**
+ * Create the URL canonicalizer of a crawl, so the different URLs a page is
+ * linked by are crawled once. Fragments are dropped, a trailing index.html is
+ * the directory itself, links to the docs' host use the start URL's scheme and
+ * query parameters are dropped, kept or filtered as configured.
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {Object} [options] - Canonicalization options
+ * @param {string|string[]} [options.queryParams] - 'drop' (default) to crawl URLs without their query, 'keep' to keep it, or the names of the parameters to keep. Tracking parameters (utm_*, fbclid, ...) are always dropped.
+ * @returns {{canonicalize: Function, key: Function}} - Canonicalizer
+ * @throws {Error} - If the query parameter setting is invalid
+ */
+export function createUrlCanonicalizer(startUrl, options = {}) {
+  const { queryParams = 'drop' } = options;
+  checkQueryParams(queryParams);
+  const keepNames = Array.isArray(queryParams) ? new Set(queryParams) : null;
+
+  const start = new URL(startUrl);
+
+  /**
+   * Get the canonical form of a URL
+   * @param {string} url - Absolute URL
+   * @returns {string|null} - Canonical URL, or null if it isn't an http(s) URL
+   */
+  function canonicalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    parsed.hash = '';
+    // http:// and https:// links to the docs are the same pages
+    if (parsed.hostname === start.hostname) parsed.protocol = start.protocol;
+    parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/').replace(/\/index\.html?$/i, '/');
+
+    const params = Array.from(parsed.searchParams)
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .filter(([name]) => (keepNames ? keepNames.has(name) : queryParams === 'keep'))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.href;
+  }
+
+  /**
+   * Get the key pages are told apart by. `/guide` and `/guide/` are the same
+   * page on almost every site, so the key ignores a trailing slash.
+   * @param {string} url - Absolute URL
+   * @returns {string|null} - Key, or null if it isn't an http(s) URL
+   */
+  function key(url) {
+    const canonical = canonicalize(url);
+    if (!canonical) return null;
+    const parsed = new URL(canonical);
+    if (parsed.pathname !== '/') parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    return parsed.href;
+  }
+
+  return { canonicalize, key };
+}
+
+/**
+ * Find the URL a page declares as its canonical one (<link rel="canonical">)
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {string|null} - Absolute canonical URL, or null if the page names none
+ */
+export function extractCanonicalUrl($, pageUrl) {
+  const href = $('link[rel~="canonical" i]').first().attr('href');
+  if (!href) return null;
+  try {
+    return new URL(href, pageUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint the content of a page for spotting the same page under different
+ * URLs. The title, the source line and link targets are left out, and case,
+ * whitespace and punctuation are ignored, so copies that differ only in where
+ * they live or in formatting match.
+ * @param {string} content - Page markdown
+ * @returns {string} - Fingerprint
+ */
+export function fingerprintContent(content) {
+  const text = content
+    .replace(/^\s*#[^\n]*\n+Source: [^\n]*\n/, '')
+    .replace(/\]\([^)]*\)/g, ']')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return hashContent(text);
+}
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataPath } from './config.js';
+import { hashContent } from './cache.js';
+import { logDebug, logWarning } from './logger.js';
+
+/**
+ * Directory crawl checkpoints are written to
+ */
+export const DEFAULT_CHECKPOINT_DIR = dataPath('checkpoints');
+
+// Bump when the checkpoint layout changes so stale checkpoints are ignored
+const CHECKPOINT_VERSION = 7;
+
+/**
+ * Get the checkpoint file for a crawl
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {string} - Checkpoint file path
+ */
+export function checkpointPath(startUrl, dir = DEFAULT_CHECKPOINT_DIR) {
+  return path.join(dir, `${hashContent(startUrl).slice(0, 16)}.json`);
+}
+
+/**
+ * Load the checkpoint of an earlier, unfinished crawl
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {Promise<Object|null>} - Saved crawl state, or null if there is none
+ */
+export async function loadCheckpoint(startUrl, dir = DEFAULT_CHECKPOINT_DIR) {
+  try {
+    const state = JSON.parse(await fs.readFile(checkpointPath(startUrl, dir), 'utf8'));
+    if (state.version !== CHECKPOINT_VERSION || state.startUrl !== startUrl) {
+      return null;
+    }
+    return state;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logWarning(`Ignoring unreadable checkpoint for ${startUrl}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Compare the scope options a checkpoint was saved with to those of the current crawl
+ * @param {Object} saved - Saved crawl state, from loadCheckpoint
+ * @param {Object<string, *>} scope - Options that decide which pages the crawl covers
+ * @returns {string[]} - Names of the options that differ, empty if the checkpoint can be resumed
+ */
+export function scopeMismatch(saved, scope) {
+  const names = new Set([...Object.keys(saved.scope || {}), ...Object.keys(scope)]);
+  return Array.from(names).filter(name => JSON.stringify(saved.scope?.[name] ?? null) !== JSON.stringify(scope[name] ?? null));
+}
+
+/**
+ * Create a checkpoint writer for a crawl
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {Function} getState - Returns the crawl state to save
+ * @param {Object} [options] - Checkpoint options
+ * @param {string} [options.dir] - Checkpoint directory
+ * @param {number} [options.interval] - Minimum milliseconds between periodic saves
+ * @returns {{file: string, save: Function, schedule: Function, remove: Function}} - Checkpoint writer
+ */
+export function createCheckpointer(startUrl, getState, options = {}) {
+  const {
+    dir = DEFAULT_CHECKPOINT_DIR,
+    interval = 5000
+  } = options;
+
+  const file = checkpointPath(startUrl, dir);
+  let lastSave = Date.now();
+  // Saves are chained so two writes never interleave
+  let pending = Promise.resolve();
+
+  /**
+   * Write the current crawl state to disk
+   * @returns {Promise<void>}
+   */
+  function save() {
+    lastSave = Date.now();
+    pending = pending.then(async () => {
+      try {
+        const state = { ...getState(), version: CHECKPOINT_VERSION, startUrl, savedAt: new Date().toISOString() };
+        await fs.mkdir(dir, { recursive: true });
+        // Write to a temporary file first so a crash mid-write can't corrupt the checkpoint
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(state));
+        await fs.rename(`${file}.tmp`, file);
+        logDebug(`Saved crawl checkpoint to ${file}`);
+      } catch (error) {
+        logWarning(`Failed to save crawl checkpoint: ${error.message}`);
+      }
+    });
+    return pending;
+  }
+
+  /**
+   * Save the crawl state if the last save is older than the interval
+   */
+  function schedule() {
+    if (Date.now() - lastSave >= interval) {
+      save();
+    }
+  }
+
+  /**
+   * Delete the checkpoint once the crawl has finished
+   * @returns {Promise<void>}
+   */
+  async function remove() {
+    await pending;
+    await fs.rm(file, { force: true });
+  }
+
+  return { file, save, schedule, remove };
+}
@@ -0,0 +1,202 @@
+import { countTokens } from './tokens.js';
+
+/**
+ * Opening line of a fenced code block
+ */
+export const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+
+/**
+ * ATX heading line, capturing the hashes and the heading text
+ */
+export const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Split markdown into blocks: headings, fenced code blocks and paragraphs.
+ * Nothing inside a code fence is ever treated as a heading or a block boundary.
+ * @param {string} markdown - Markdown to split
+ * @returns {Array<{type: string, text: string, level?: number, title?: string, fence?: string}>} - Blocks in document order
+ */
+export function splitBlocks(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'text', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (code) {
+      code.lines.push(line);
+      // A fence closes with at least as many of the same character and nothing else
+      const closing = line.trim();
+      if (
+        closing.length >= code.fence.length &&
+        closing === code.fence[0].repeat(closing.length)
+      ) {
+        blocks.push({ type: 'code', text: code.lines.join('\n'), fence: code.fence });
+        code = null;
+      }
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      flushParagraph();
+      code = { fence: fence[1], lines: [line] };
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', text: line, level: heading[1].length, title: heading[2] });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  // An unclosed fence runs to the end of the document
+  if (code) {
+    blocks.push({ type: 'code', text: code.lines.join('\n'), fence: code.fence });
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+/**
+ * Split markdown into sections that each start at a heading
+ * @param {string} markdown - Markdown to split
+ * @returns {Array<{heading: string|null, level: number, blocks: Array<Object>, text: string}>} - Sections in document order (the first has no heading if the document doesn't start with one)
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  let current = { heading: null, level: 0, blocks: [] };
+
+  for (const block of splitBlocks(markdown)) {
+    if (block.type === 'heading') {
+      if (current.blocks.length > 0) sections.push(current);
+      current = { heading: block.title, level: block.level, blocks: [block] };
+    } else {
+      current.blocks.push(block);
+    }
+  }
+  if (current.blocks.length > 0) sections.push(current);
+
+  return sections.map(section => ({
+    ...section,
+    text: section.blocks.map(block => block.text).join('\n\n')
+  }));
+}
+
+/**
+ * Split a block that is too large on its own into line-based pieces,
+ * re-opening and closing code fences so every piece stays valid markdown
+ * @param {Object} block - Block from splitBlocks
+ * @param {number} maxTokens - Token limit per piece
+ * @returns {string[]} - Pieces
+ */
+function splitOversizedBlock(block, maxTokens) {
+  let lines = block.text.split('\n');
+  let open = '';
+  let close = '';
+
+  if (block.type === 'code') {
+    open = lines[0];
+    const last = lines[lines.length - 1].trim();
+    const closed = lines.length > 1 && last.length >= block.fence.length && last === block.fence[0].repeat(last.length);
+    close = block.fence;
+    lines = lines.slice(1, closed ? -1 : undefined);
+  }
+
+  const wrap = (pieceLines) => (open ? [open, ...pieceLines, close] : pieceLines).join('\n');
+  // Tokens are counted per line (plus its newline) so huge blocks stay linear
+  const overhead = open ? countTokens(open) + countTokens(close) + 2 : 0;
+  const pieces = [];
+  let current = [];
+  let currentTokens = overhead;
+
+  for (const line of lines) {
+    const tokens = countTokens(line) + 1;
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      pieces.push(wrap(current));
+      current = [];
+      currentTokens = overhead;
+    }
+    current.push(line);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) pieces.push(wrap(current));
+
+  return pieces;
+}
+
+/**
+ * Greedily pack pieces of markdown into chunks under a token limit
+ * @param {string[]} pieces - Pieces in document order
+ * @param {number} maxTokens - Token limit per chunk
+ * @returns {string[]} - Chunks
+ */
+function packPieces(pieces, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    // Joining pieces adds a blank line, which is at most a couple of tokens
+    const tokens = countTokens(piece) + 2;
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) chunks.push(current.join('\n\n'));
+
+  return chunks;
+}
+
+/**
+ * Split markdown into chunks under a token limit, preferring heading boundaries,
+ * then paragraph and code block boundaries, and splitting lines only as a last resort
+ * @param {string} markdown - Markdown to split
+ * @param {number} maxTokens - Token limit per chunk
+ * @returns {string[]} - Chunks in document order
+ */
+export function chunkMarkdown(markdown, maxTokens) {
+  if (countTokens(markdown) <= maxTokens) {
+    return [markdown];
+  }
+
+  const pieces = [];
+  for (const section of splitSections(markdown)) {
+    if (countTokens(section.text) <= maxTokens) {
+      pieces.push(section.text);
+      continue;
+    }
+
+    // Section is too large, fall back to its blocks
+    const blockPieces = [];
+    for (const block of section.blocks) {
+      if (countTokens(block.text) <= maxTokens) {
+        blockPieces.push(block.text);
+      } else {
+        blockPieces.push(...splitOversizedBlock(block, maxTokens));
+      }
+    }
+    pieces.push(...packPieces(blockPieces, maxTokens));
+  }
+
+  return packPieces(pieces, maxTokens);
+}
@@ -0,0 +1,191 @@
+import { chunkMarkdown } from './chunker.js';
+import { verifyCleaning } from './verify.js';
+import {
+  logInfo,
+  logSuccess,
+  logWarning
+} from './logger.js';
+
+// Share of the response token limit a chunk may use, since cleaned output is about as long as its input
+const CHUNK_RESPONSE_RATIO = 0.75;
+
+// How often a chunk that fails verification is sent again before keeping the original
+const VERIFY_RETRIES = 1;
+
+/**
+ * Ask the provider to clean one chunk of a page
+ * @param {Object} provider - Provider from createProvider
+ * @param {string} chunk - Markdown chunk to clean
+ * @param {Object} context - Where the chunk comes from
+ * @param {string} context.title - Title of the page
+ * @param {string} context.url - URL of the page
+ * @param {number} context.part - 1-based index of the chunk
+ * @param {number} context.parts - Number of chunks in the page
+ * @param {string[]} [context.rejected] - Problems with the previous attempt, when retrying
+ * @returns {Promise<{content: string, truncated: boolean}>} - Provider response
+ */
+async function requestCleaning(provider, chunk, { title, url, part, parts, rejected = [] }) {
+  // Create system message with instructions
+  const systemMessage = `You are a documentation formatter that specializes in cleaning up scraped web content. 
+Your task is to improve the quality and readability of scraped documentation.`;
+
+  // Tell the model when it only sees part of a page, so it doesn't add intros or conclusions
+  const partNote = parts > 1
+    ? `\nThis is part ${part} of ${parts} of the page. Clean only this part and do not add introductions or summaries.\n`
+    : '';
+
+  // Tell the model what was wrong with its last attempt
+  const retryNote = rejected.length > 0
+    ? `\nA previous attempt was rejected because: ${rejected.join('; ')}. Copy code blocks exactly and keep every identifier and URL.\n`
+    : '';
+
+  // Create user message with content to clean
+  const userMessage = `
+I have scraped documentation content from a webpage and converted it to markdown. Please clean and format this content by:
+1. Removing any navigation elements, footers, or other non-documentation content
+2. Fixing any formatting issues or broken markdown syntax
+3. Ensuring proper heading hierarchy
+4. Making the content more readable and well-formatted
+5. Preserving all technical information and code examples
+6. Keeping only the essential documentation content
+7. Copying fenced code blocks exactly as they are, without adding new code
+
+The content is from: ${url}
+Title: ${title}
+${partNote}${retryNote}
+Here's the content to clean:
+
+${chunk}
+
+Please return ONLY the cleaned markdown with no additional explanation or commentary. Maintain all technical accuracy.
+`;
+
+  // Send the request to the provider
+  return provider.complete({
+    system: systemMessage,
+    user: userMessage
+  });
+}
+
+/**
+ * Clean one chunk of a page, verifying the result against the original and
+ * falling back to the original text when the result can't be trusted
+ * @param {Object} provider - Provider from createProvider
+ * @param {string} chunk - Markdown chunk to clean
+ * @param {Object} context - Where the chunk comes from
+ * @param {string} context.title - Title of the page
+ * @param {string} context.url - URL of the page
+ * @param {number} context.part - 1-based index of the chunk
+ * @param {number} context.parts - Number of chunks in the page
+ * @returns {Promise<{content: string, fellBack: boolean, retries: number, issues: string[]}>} - Cleaned chunk, whether the original was kept, how often it was retried and why attempts were rejected
+ */
+async function cleanChunk(provider, chunk, context) {
+  const { url, part, parts } = context;
+  const label = parts > 1 ? `${url} (part ${part}/${parts})` : url;
+  let rejected = [];
+
+  for (let attempt = 0; attempt <= VERIFY_RETRIES; attempt++) {
+    try {
+      const { content: cleanedContent, truncated } = await requestCleaning(provider, chunk, { ...context, rejected });
+
+      // A response cut off at the token limit is missing content, so keep the original
+      if (truncated) {
+        logWarning(`AI cleaning hit the token limit for ${label}, using original`);
+        return { content: chunk, fellBack: true, retries: attempt, issues: ['response hit the token limit'] };
+      }
+
+      // If we got back an empty response or very short response, fall back to the original
+      if (!cleanedContent || (cleanedContent.length < 100 && chunk.length >= 100)) {
+        logWarning(`AI cleaning returned too short content for ${label}, using original`);
+        return { content: chunk, fellBack: true, retries: attempt, issues: ['response was empty or too short'] };
+      }
+
+      const verification = verifyCleaning(chunk, cleanedContent);
+      if (verification.ok) {
+        return { content: cleanedContent.trim(), fellBack: false, retries: attempt, issues: rejected };
+      }
+
+      rejected = verification.issues;
+      logWarning(`AI cleaning of ${label} failed verification: ${rejected.join('; ')}`);
+    } catch (error) {
+      // If there's any error with the AI, return the original content
+      logWarning(`Error cleaning content with ${provider.model} for ${label}: ${error.message}`);
+      return { content: chunk, fellBack: true, retries: attempt, issues: [`request failed: ${error.message}`] };
+    }
+  }
+
+  logWarning(`Keeping the original text for ${label} after ${VERIFY_RETRIES + 1} rejected attempts`);
+  return { content: chunk, fellBack: true, retries: VERIFY_RETRIES, issues: rejected };
+}
+
+/**
+ * Cleans and formats markdown content using the configured LLM provider.
+ * Pages too large for one response are split on heading and code block
+ * boundaries, cleaned chunk by chunk and stitched back together in order.
+ * Every cleaned chunk is verified against its original and kept only if
+ * its code, identifiers and URLs survived.
+ * @param {Object} provider - Provider from createProvider
+ * @param {string} content - Raw markdown content to clean
+ * @param {string} title - Title of the page
+ * @param {string} url - URL of the page
+ * @returns {Promise<{content: string, verification: Object}>} - Cleaned markdown and the page's verification result
+ */
+export async function cleanMarkdownWithAI(provider, content, title, url) {
+  const chunkTokens = Math.max(256, Math.floor(provider.maxTokens * CHUNK_RESPONSE_RATIO));
+  const chunks = chunkMarkdown(content, chunkTokens);
+  if (chunks.length > 1) {
+    logInfo(`Split ${url} into ${chunks.length} chunks for AI cleaning`);
+  }
+
+  const cleanedChunks = [];
+  const issues = [];
+  let fallbacks = 0;
+  let retried = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    const result = await cleanChunk(provider, chunks[i], { title, url, part: i + 1, parts: chunks.length });
+    cleanedChunks.push(result.content);
+    if (result.fellBack) fallbacks++;
+    if (result.retries > 0) retried++;
+    issues.push(...result.issues);
+  }
+
+  // passed: every chunk verified first time, retried: verified after a retry,
+  // partial: some chunks kept their original text, original: nothing was cleaned
+  let status = retried > 0 ? 'retried' : 'passed';
+  if (fallbacks === chunks.length) {
+    status = 'original';
+  } else if (fallbacks > 0) {
+    status = 'partial';
+  }
+  const verification = { status, chunks: chunks.length, retried, fallbacks, issues: Array.from(new Set(issues)) };
+
+  // Nothing was cleaned, so hand back the page exactly as it was
+  if (status === 'original') {
+    return { content, verification };
+  }
+
+  if (fallbacks > 0) {
+    logWarning(`Kept the original text for ${fallbacks} of ${chunks.length} chunks of ${url}`);
+  }
+  logSuccess(`Successfully cleaned content from ${url} using ${provider.model}`);
+  return { content: cleanedChunks.join('\n\n'), verification };
+}
+
+/**
+ * Clean a scraped page with AI, keeping the original content if cleaning fails
+ * @param {Object} provider - Provider from createProvider
+ * @param {Object} page - Page object with url, title and content
+ * @returns {Promise<Object>} - The page with cleaned content and its verification result
+ */
+export async function cleanPageWithAI(provider, page) {
+  try {
+    const { content, verification } = await cleanMarkdownWithAI(provider, page.content, page.title, page.url);
+    logSuccess(`AI cleaned content for ${page.url}`);
+    page.content = content;
+    page.verification = verification;
+  } catch (error) {
+    logWarning(`AI cleaning failed for ${page.url}: ${error.message}`);
+    page.verification = { status: 'original', chunks: 0, retried: 0, fallbacks: 0, issues: [`cleaning failed: ${error.message}`] };
+  }
+  return page;
+}
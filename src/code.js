@@ -0,0 +1,290 @@
+// Class names that carry a code block's language, as written by common highlighters
+const LANGUAGE_CLASS_PATTERNS = [
+  /^(?:language|lang)-([\w+#.-]+)$/i, // Prism, highlight.js, Shiki, markdown renderers
+  /^highlight-(?:source-)?([\w+#.-]+)$/i, // Sphinx, GitHub
+  /^sourceCode$/ // Pandoc, followed by the language as its own class
+];
+
+// Attributes that carry a code block's language
+const LANGUAGE_ATTRIBUTES = ['data-lang', 'data-language', 'data-code-language'];
+
+// Languages used as bare class names, e.g. rustdoc's <pre class="rust">
+const BARE_LANGUAGE_CLASSES = new Set([
+  'bash', 'console', 'cpp', 'csharp', 'css', 'go', 'html', 'java', 'javascript', 'json',
+  'kotlin', 'python', 'ruby', 'rust', 'shell', 'sql', 'swift', 'toml', 'typescript', 'xml', 'yaml'
+]);
+
+// Language names that mean "no highlighting"
+const PLAIN_LANGUAGES = new Set(['none', 'text', 'plain', 'plaintext', 'default', 'nohighlight', 'txt']);
+
+// How many wrapper elements up from a <pre> may carry its language
+const LANGUAGE_SEARCH_DEPTH = 3;
+
+// Line-number gutters of common highlighters
+const GUTTER_SELECTORS = [
+  '.linenos',
+  '.lineno',
+  '.linenodiv',
+  '.line-number',
+  '.line-numbers-rows',
+  '.gutter',
+  '.rouge-gutter',
+  '.react-syntax-highlighter-line-number',
+  '[class*="LineNumber"]',
+  '[data-line-number]'
+].join(', ');
+
+// Elements highlighters wrap each line of code in
+const LINE_SELECTORS = '.token-line, .line, .code-line, .highlight-line';
+
+// Labels and buttons highlighters add around the code
+const CODE_CHROME_SELECTORS = 'button, .copy, .copy-button, .copybtn, span.lang';
+
+// Tabbed content of frameworks that don't use ARIA tab roles: the group, and
+// selectors for its tab labels and its panels (alternatives, first match wins)
+const TAB_GROUPS = [
+  { group: '.tabbed-set', labels: [':scope > .tabbed-labels > label', ':scope > label'], panels: [':scope > .tabbed-content > .tabbed-block', ':scope > .tabbed-content'] }, // MkDocs Material
+  { group: '.vp-code-group', labels: [':scope > .tabs > label'], panels: [':scope > .blocks > *'] } // VitePress
+];
+
+// Blockquote markers at the start of a line
+const QUOTE_PATTERN = /^(?:[ \t]*>[ \t]?)*/;
+
+// List item marker with its leading and trailing whitespace
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d+[.)])([ \t]+)/;
+
+// Placeholder left for a code block, anywhere in a line
+const PLACEHOLDER_PATTERN = /D2CCODEBLOCK(\d+)X/g;
+
+/**
+ * Find the language of a code block from the classes and attributes of its
+ * <code>, its <pre> and the elements wrapping it
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} pre - <pre> element
+ * @returns {string} - Language, or an empty string if none is given
+ */
+function detectLanguage($, pre) {
+  const candidates = [pre.children('code').first(), pre, ...pre.parents().slice(0, LANGUAGE_SEARCH_DEPTH).toArray().map(element => $(element))];
+
+  for (const element of candidates) {
+    if (element.length === 0) continue;
+
+    for (const attribute of LANGUAGE_ATTRIBUTES) {
+      const value = element.attr(attribute);
+      if (value) return value.trim().toLowerCase();
+    }
+
+    const classes = (element.attr('class') || '').split(/\s+/).filter(Boolean);
+    for (const [index, name] of classes.entries()) {
+      for (const pattern of LANGUAGE_CLASS_PATTERNS) {
+        const match = name.match(pattern);
+        const language = match && (match[1] || classes[index + 1]);
+        if (language) return language.toLowerCase();
+      }
+    }
+    const bare = classes.find(name => BARE_LANGUAGE_CLASSES.has(name.toLowerCase()));
+    if (bare) return bare.toLowerCase();
+  }
+
+  return '';
+}
+
+/**
+ * Get the source text of a code block, one line per highlighted line element
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} pre - <pre> element, with gutters and chrome removed
+ * @returns {string} - Code
+ */
+function codeText($, pre) {
+  const code = pre.children('code').first().length > 0 ? pre.children('code').first() : pre;
+  code.find('br').replaceWith('\n');
+
+  // Some highlighters put lines in elements without newlines between them
+  const lines = code.find(LINE_SELECTORS);
+  const text = lines.length > 0
+    ? lines.map((i, line) => $(line).text().replace(/\n$/, '')).get().join('\n')
+    : code.text();
+
+  return text.replace(/\s+$/, '').replace(/^\n+/, '');
+}
+
+/**
+ * Label the panels of tabbed content (such as "npm / yarn / pnpm" code groups)
+ * with their tab's name, and drop the tab bar. Hidden panels are kept, so every
+ * variant ends up in the markdown under its label.
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Element holding the page content
+ */
+export function labelTabs($, container) {
+  const label = text => $('<p>').append($('<strong>').text(text.replace(/\s+/g, ' ').trim()));
+
+  // ARIA tabs, used by Docusaurus, Sphinx tabs, Mintlify and most component libraries
+  container.find('[role="tablist"]').each((i, element) => {
+    const tablist = $(element);
+    const tabs = tablist.find('[role="tab"]');
+    const scope = tablist.parent();
+    const panels = scope.find('[role="tabpanel"]');
+
+    tabs.each((index, tab) => {
+      const controls = $(tab).attr('aria-controls');
+      const panel = controls ? scope.find(`[id="${controls}"]`) : panels.eq(index);
+      if (panel.length > 0) panel.first().removeAttr('hidden').prepend(label($(tab).text()));
+    });
+    tablist.remove();
+  });
+
+  const firstMatch = (element, selectors) => selectors.map(selector => element.find(selector)).find(found => found.length > 0) || $();
+
+  for (const { group, labels, panels } of TAB_GROUPS) {
+    container.find(group).each((i, element) => {
+      const tabs = firstMatch($(element), labels);
+      const blocks = firstMatch($(element), panels);
+      tabs.each((index, tab) => blocks.eq(index).prepend(label($(tab).text())));
+      tabs.remove();
+    });
+  }
+}
+
+/**
+ * Prepare the code blocks of a page for conversion to markdown: drop line-number
+ * gutters, copy buttons and language labels, and replace each block with a
+ * placeholder so converting the HTML can't mangle it. The placeholders are
+ * turned into fenced blocks by restoreCodeBlocks, or into inline code for
+ * blocks in table cells, where a fence can't go.
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Element holding the page content
+ * @returns {Array<{language: string, code: string, inline: boolean}>} - Code blocks, by placeholder number
+ */
+export function extractCodeBlocks($, container) {
+  // Pygments and Rouge put the line numbers of a block in a table cell of their own
+  container.find('table').filter((i, table) => $(table).find('pre').length > 0 && $(table).find(GUTTER_SELECTORS).length > 0).each((i, table) => {
+    $(table).replaceWith($(table).find('pre').not($(table).find(GUTTER_SELECTORS).find('pre')).first());
+  });
+
+  const blocks = [];
+  container.find('pre').each((i, element) => {
+    const pre = $(element);
+    // Nested <pre> elements are handled as part of the outer one
+    if (pre.parents('pre').length > 0) return;
+
+    const language = detectLanguage($, pre);
+    pre.find(GUTTER_SELECTORS).remove();
+    pre.find(CODE_CHROME_SELECTORS).remove();
+    pre.siblings(CODE_CHROME_SELECTORS).remove();
+    const code = codeText($, pre);
+
+    // A table cell keeps its code on the row, so no paragraph is opened for it
+    const inline = pre.closest('td, th').length > 0;
+    pre.replaceWith($(inline ? '<span>' : '<p>').text(placeholder(blocks.length)));
+    blocks.push({ language: PLAIN_LANGUAGES.has(language) ? '' : language, code, inline });
+  });
+
+  return blocks;
+}
+
+/**
+ * Placeholder text standing in for a code block during conversion
+ * @param {number} index - Number of the code block
+ * @returns {string} - Placeholder
+ */
+function placeholder(index) {
+  return `D2CCODEBLOCK${index}X`;
+}
+
+/**
+ * Count the blockquote levels of a line's quote markers
+ * @param {string} quote - Quote markers
+ * @returns {number} - Nesting depth
+ */
+function quoteDepth(quote) {
+  return (quote.match(/>/g) || []).length;
+}
+
+/**
+ * Find the content width of the list item a line continues. Converted list
+ * items put their later paragraphs on unindented lines right below the item.
+ * @param {string[]} lines - Markdown lines
+ * @param {number} index - Line to look above
+ * @param {string} quote - Blockquote markers of the line
+ * @returns {number} - Width of the item's marker, or 0 if the line isn't in a list item
+ */
+function listItemWidth(lines, index, quote) {
+  for (let i = index - 1; i >= 0; i--) {
+    const own = lines[i].match(QUOTE_PATTERN)[0];
+    const text = lines[i].slice(own.length);
+    if (quoteDepth(own) !== quoteDepth(quote) || text.trim() === '') return 0;
+    const item = text.match(LIST_ITEM_PATTERN);
+    if (item) return item[0].length;
+  }
+  return 0;
+}
+
+/**
+ * Write code as inline code that fits in a table cell: one code span per
+ * line, joined with <br>, and pipes escaped so they don't end the cell
+ * @param {string} code - Code
+ * @returns {string} - Inline markdown
+ */
+function inlineCode(code) {
+  return code.split('\n').map(line => {
+    if (line.trim() === '') return '';
+    const longestRun = Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = line.startsWith('`') || line.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${line.replace(/\|/g, '\\|')}${padding}${fence}`;
+  }).filter(Boolean).join('<br>');
+}
+
+/**
+ * Replace the placeholders left by extractCodeBlocks with fenced code blocks.
+ * The fence is longer than any backtick run in the code. Blocks inside
+ * blockquotes repeat the quote markers on every line, and blocks inside list
+ * items are indented to the item's content, so they stay where they were.
+ * Text after a placeholder continues below the block, and blocks from table
+ * cells become inline code on their row.
+ * @param {string} markdown - Converted markdown
+ * @param {Array<{language: string, code: string, inline: boolean}>} blocks - Code blocks from extractCodeBlocks
+ * @returns {string} - Markdown with fenced code blocks
+ */
+export function restoreCodeBlocks(markdown, blocks) {
+  const lines = markdown.split('\n');
+
+  const restoreLine = (line, i) => {
+    const match = line.match(/^(.*?)D2CCODEBLOCK(\d+)X(.*)$/);
+    if (!match) return line;
+
+    const [, prefix, index, after] = match;
+    const { language, code } = blocks[Number(index)];
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+    // A block opening a list item ("1. ```") is indented past the marker on the
+    // placeholder's line, one continuing an item past the marker above it
+    const quote = prefix.match(QUOTE_PATTERN)[0];
+    const rest = prefix.slice(quote.length);
+    const continues = rest.trim() === '';
+    const item = rest.match(LIST_ITEM_PATTERN);
+
+    // Text before the placeholder keeps its line, and the block starts below it
+    if (!continues && !(item && item[0].length === rest.length)) {
+      const width = item ? item[0].length : listItemWidth(lines, i, quote);
+      return `${prefix.trimEnd()}\n${restoreLine(`${quote}${' '.repeat(width)}${placeholder(index)}${after}`, i)}`;
+    }
+    const width = continues ? Math.max(rest.length, listItemWidth(lines, i, quote)) : rest.length;
+    const indent = quote + ' '.repeat(width);
+
+    const fenced = [`${fence}${language}`, ...code.split('\n'), fence];
+    const block = fenced.map((text, n) => {
+      if (n === 0) return (continues ? indent : prefix) + text;
+      return text === '' ? quote.trimEnd() : indent + text;
+    }).join('\n');
+    return after.trim() === '' ? block : `${block}\n${restoreLine(indent + after.trim(), i)}`;
+  };
+
+  return lines.map((line, i) => {
+    const inlined = line.replace(PLACEHOLDER_PATTERN, (placeholderText, index) => (
+      blocks[Number(index)].inline ? inlineCode(blocks[Number(index)].code) : placeholderText
+    ));
+    return restoreLine(inlined, i);
+  }).join('\n');
+}
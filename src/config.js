@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Config file looked up in the current directory when --config is not given
+ */
+export const CONFIG_FILE = 'docs2context.config.json';
+
+/**
+ * Directory the search index, page cache and crawl checkpoints are kept in,
+ * relative to the config file when there is one
+ */
+export const DEFAULT_DATA_DIR = '.docs2context';
+
+// Options holding paths, which are relative to the config file that sets them
+const PATH_OPTIONS = ['dataDir', 'cacheDir'];
+
+/**
+ * Get a directory inside the data directory
+ * @param {string} name - Subdirectory: index, cache or checkpoints
+ * @param {string} [dataDir] - Data directory from the config file or --data-dir
+ * @returns {string} - Directory path
+ */
+export function dataPath(name, dataDir = DEFAULT_DATA_DIR) {
+  return path.join(dataDir, name);
+}
+
+/**
+ * Load scraper options from a JSON config file. Relative paths in it are
+ * resolved against the file's directory, and the data directory defaults to
+ * the one next to it, so the same index and cache are used whichever
+ * directory docs2context is started from.
+ * @param {string} [configPath] - Explicit config path; the default file is optional
+ * @returns {Promise<Object>} - Options from the config file ({} if there is none)
+ * @throws {Error} - If an explicit config file is missing, or any config file is invalid
+ */
+export async function loadConfig(configPath) {
+  const filePath = path.resolve(configPath || CONFIG_FILE);
+
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !configPath) {
+      return {};
+    }
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+
+  const configDir = path.dirname(filePath);
+  for (const key of PATH_OPTIONS) {
+    if (config[key] !== undefined && typeof config[key] !== 'string') {
+      throw new Error(`"${key}" in config file ${filePath} must be a path`);
+    }
+  }
+  return {
+    ...config,
+    ...Object.fromEntries(PATH_OPTIONS.filter(key => config[key]).map(key => [key, path.resolve(configDir, config[key])])),
+    dataDir: path.resolve(configDir, config.dataDir || DEFAULT_DATA_DIR)
+  };
+}
+
+/**
+ * Merge config file options with command line options, the command line winning.
+ * Nested option groups (such as `ai`) are merged key by key.
+ * @param {Object} config - Options from the config file
+ * @param {Object} cliOptions - Options given on the command line (undefined values are ignored)
+ * @returns {Object} - Merged options
+ */
+export function mergeOptions(config, cliOptions) {
+  const merged = { ...config };
+  for (const [key, value] of Object.entries(cliOptions)) {
+    if (value === undefined) continue;
+
+    if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeOptions(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataPath } from './config.js';
+import { splitSections, chunkMarkdown } from './chunker.js';
+import { countTokens } from './tokens.js';
+import { logInfo, logWarning } from './logger.js';
+
+/**
+ * Directory search indexes are written to
+ */
+export const DEFAULT_INDEX_DIR = dataPath('index');
+
+// Bump when the index layout or chunking changes so old indexes are rebuilt
+const INDEX_VERSION = 2;
+
+// Largest chunk stored in the index, small enough to hand an agent a focused answer
+const CHUNK_TOKENS = 512;
+
+// Texts sent to the embeddings API per request
+const EMBEDDING_BATCH_SIZE = 64;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion constant for combining keyword and embedding rankings
+const RRF_K = 60;
+
+/**
+ * Turn a project name into the name used for its files
+ * @param {string} projectName - Project name
+ * @returns {string} - File-safe project name
+ */
+export function projectSlug(projectName) {
+  return projectName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+/**
+ * Get the index file of a project
+ * @param {string} projectName - Project name
+ * @param {string} [dir] - Index directory
+ * @returns {string} - Index file path
+ */
+export function indexPath(projectName, dir = DEFAULT_INDEX_DIR) {
+  return path.join(dir, `${projectSlug(projectName)}.json`);
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to split
+ * @returns {string[]} - Terms
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Split pages into heading-aware chunks. Every section of a page with content
+ * below its heading becomes a chunk, sections too large for one are split
+ * further, and each chunk remembers the headings above it.
+ * @param {Array<Object>} pages - Pages with url, title and content
+ * @returns {Array<{id: string, url: string, title: string, headings: string[], text: string}>} - Chunks in document order
+ */
+export function chunkPages(pages) {
+  const chunks = [];
+
+  for (const page of pages) {
+    // Headings above the current section, indexed by level
+    const trail = [];
+
+    for (const section of splitSections(page.content)) {
+      if (section.heading) {
+        trail.length = section.level - 1;
+        trail[section.level - 1] = section.heading;
+      }
+      const headings = trail.filter(Boolean);
+
+      // The source line is stored as the chunk URL, and a heading alone answers nothing
+      const blocks = section.blocks.filter(block => !(block.type === 'text' && block.text.startsWith('Source: ')));
+      if (!blocks.some(block => block.type !== 'heading')) continue;
+      const text = blocks.map(block => block.text).join('\n\n').trim();
+
+      const pieces = countTokens(text) > CHUNK_TOKENS ? chunkMarkdown(text, CHUNK_TOKENS) : [text];
+      for (const piece of pieces) {
+        chunks.push({
+          id: `${page.url}#${chunks.length}`,
+          url: page.url,
+          title: page.title,
+          headings,
+          text: piece
+        });
+      }
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Text of a chunk that is searched, including the headings it sits under
+ * @param {Object} chunk - Chunk from chunkPages
+ * @returns {string} - Searchable text
+ */
+function searchableText(chunk) {
+  return [chunk.title, ...chunk.headings, chunk.text].join('\n');
+}
+
+/**
+ * Embed texts in batches
+ * @param {Object} embedder - Embedder from createEmbedder
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} - One vector per text
+ */
+async function embedAll(embedder, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...await embedder.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+/**
+ * Build the search index of a project from its scraped pages and save it
+ * @param {string} projectName - Project name
+ * @param {string} source - URL the documentation was scraped from
+ * @param {Array<Object>} pages - Pages with url, title and content
+ * @param {Object} [options] - Index options
+ * @param {Object} [options.embedder] - Embedder from createEmbedder, to add embeddings to the index
+ * @param {Object} [options.embedding] - Embedding settings to store, so queries use the same model
+ * @param {string} [options.dir] - Index directory
+ * @returns {Promise<{file: string, chunks: number, embedded: boolean}>} - Where the index was written and what it holds
+ */
+export async function buildIndex(projectName, source, pages, options = {}) {
+  const { embedder, embedding = {}, dir = DEFAULT_INDEX_DIR } = options;
+  const chunks = chunkPages(pages);
+
+  let embedded = false;
+  if (embedder && chunks.length > 0) {
+    try {
+      const vectors = await embedAll(embedder, chunks.map(searchableText));
+      chunks.forEach((chunk, i) => { chunk.embedding = vectors[i]; });
+      embedded = true;
+      logInfo(`Embedded ${chunks.length} chunks with ${embedder.model}`);
+    } catch (error) {
+      // Keyword search still works without embeddings
+      logWarning(`Failed to embed chunks with ${embedder.model}, indexing for keyword search only: ${error.message}`);
+    }
+  }
+
+  const index = {
+    version: INDEX_VERSION,
+    project: projectName,
+    source,
+    createdAt: new Date().toISOString(),
+    // Full pages are kept too, so a search hit can be expanded to its page
+    pages: pages.map(({ url, title, content }) => ({ url, title, content })),
+    embedding: embedded ? { ...embedding, provider: embedder.name, model: embedder.model } : null,
+    chunks
+  };
+
+  const file = indexPath(projectName, dir);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(index));
+  await fs.rename(`${file}.tmp`, file);
+  logInfo(`Indexed ${chunks.length} chunks from ${pages.length} pages to ${file}`);
+
+  return { file, chunks: chunks.length, embedded };
+}
+
+/**
+ * Load the search index of a project
+ * @param {string} projectName - Project name
+ * @param {string} [dir] - Index directory
+ * @returns {Promise<Object|null>} - Index, or null if the project hasn't been indexed
+ */
+export async function loadIndex(projectName, dir = DEFAULT_INDEX_DIR) {
+  try {
+    const index = JSON.parse(await fs.readFile(indexPath(projectName, dir), 'utf8'));
+    if (index.version !== INDEX_VERSION) {
+      logWarning(`The index of ${projectName} is from another version, scrape the project again to rebuild it`);
+      return null;
+    }
+    return index;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logWarning(`Ignoring unreadable index for ${projectName}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * List the projects that have a search index
+ * @param {string} [dir] - Index directory
+ * @returns {Promise<Array<{project: string, source: string, createdAt: string, pages: number, chunks: number, embedded: boolean}>>} - Indexed projects
+ */
+export async function listIndexes(dir = DEFAULT_INDEX_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    return [];
+  }
+
+  const projects = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    try {
+      const index = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      if (index.version !== INDEX_VERSION) continue;
+      projects.push({
+        project: index.project,
+        source: index.source,
+        createdAt: index.createdAt,
+        pages: index.pages.length,
+        chunks: index.chunks.length,
+        embedded: Boolean(index.embedding)
+      });
+    } catch (error) {
+      logWarning(`Ignoring unreadable index ${file}: ${error.message}`);
+    }
+  }
+  return projects;
+}
+
+/**
+ * Score every chunk against a query with BM25
+ * @param {Array<Object>} chunks - Indexed chunks
+ * @param {string} query - Search query
+ * @returns {number[]} - Score per chunk
+ */
+function scoreBm25(chunks, query) {
+  const terms = Array.from(new Set(tokenize(query)));
+  const documents = chunks.map(chunk => tokenize(searchableText(chunk)));
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  const frequencies = documents.map(doc => {
+    const counts = new Map();
+    doc.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+
+  const idf = new Map(terms.map(term => {
+    const containing = frequencies.filter(counts => counts.has(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return frequencies.map((counts, i) => terms.reduce((score, term) => {
+    const frequency = counts.get(term) || 0;
+    if (frequency === 0) return score;
+    const norm = frequency + K1 * (1 - B + B * documents[i].length / averageLength);
+    return score + idf.get(term) * (frequency * (K1 + 1)) / norm;
+  }, 0));
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank positions of scores, best first; chunks scoring zero or less get no rank
+ * @param {number[]} scores - Score per chunk
+ * @returns {Map<number, number>} - 1-based rank per chunk index
+ */
+function rankOf(scores) {
+  const order = scores
+    .map((score, index) => ({ score, index }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+  return new Map(order.map(({ index }, rank) => [index, rank + 1]));
+}
+
+/**
+ * Search an index for the chunks that best answer a query. Keyword (BM25)
+ * ranking is always used; when the index has embeddings and an embedder is
+ * given, it is combined with embedding similarity by reciprocal rank fusion.
+ * @param {Object} index - Index from loadIndex
+ * @param {string} query - Search query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of results (default: 5)
+ * @param {Object} [options.embedder] - Embedder for the query, using the index's embedding model
+ * @returns {Promise<{mode: string, results: Array<{url: string, title: string, headings: string[], text: string, score: number}>}>} - Whether keyword or hybrid ranking was used, and the best chunks first
+ */
+export async function searchIndex(index, query, options = {}) {
+  const { limit = 5, embedder } = options;
+  const { chunks } = index;
+
+  const keywordScores = scoreBm25(chunks, query);
+  const keywordRanks = rankOf(keywordScores);
+
+  let vectorRanks = null;
+  if (embedder && index.embedding) {
+    try {
+      const [vector] = await embedder.embed([query]);
+      vectorRanks = rankOf(chunks.map(chunk => (chunk.embedding ? cosine(vector, chunk.embedding) : 0)));
+    } catch (error) {
+      // Offline or the embedding server is down, keyword ranking still works
+      logWarning(`Failed to embed the query with ${embedder.model}, using keyword search only: ${error.message}`);
+    }
+  }
+
+  const scores = chunks.map((chunk, i) => {
+    if (!vectorRanks) return keywordScores[i];
+
+    const keywordRank = keywordRanks.get(i);
+    const vectorRank = vectorRanks.get(i);
+    return (keywordRank ? 1 / (RRF_K + keywordRank) : 0) + (vectorRank ? 1 / (RRF_K + vectorRank) : 0);
+  });
+
+  const results = scores
+    .map((score, i) => ({ score, chunk: chunks[i] }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, chunk }) => ({
+      url: chunk.url,
+      title: chunk.title,
+      headings: chunk.headings,
+      text: chunk.text,
+      score: Number(score.toFixed(4))
+    }));
+
+  return { mode: vectorRanks ? 'hybrid' : 'keyword', results };
+}
@@ -0,0 +1,309 @@
+import * as cheerio from 'cheerio';
+import { NodeHtmlMarkdown } from 'node-html-markdown';
+import { URL } from 'url';
+import { logDebug } from './logger.js';
+import { labelTabs, extractCodeBlocks, restoreCodeBlocks } from './code.js';
+
+/**
+ * Version of the extraction logic; cached markdown from another version is re-extracted
+ */
+export const EXTRACTOR_VERSION = 8;
+
+// Initialize markdown converter
+const nhm = new NodeHtmlMarkdown();
+
+// Generic guesses at the main documentation area, tried in order
+const CONTENT_SELECTORS = [
+  'main',
+  '#main-content',
+  '.main-content',
+  '.documentation',
+  '.content',
+  'article',
+  '.markdown-body',
+  '#content',
+  '.docs-content',
+  '.docs',
+  '.document',
+  '.doc-content',
+  '.readme',
+  '.page-content',
+  'body'
+];
+
+// Page chrome that never belongs in the documentation: site navigation, breadcrumbs,
+// footers, edit and feedback widgets, copy buttons, heading permalinks and banners
+const CHROME_SELECTORS = [
+  'nav',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  'footer',
+  'button',
+  '.breadcrumbs',
+  '.breadcrumb',
+  '.pagination-nav',
+  '.theme-edit-this-page',
+  '.theme-last-updated',
+  '.theme-doc-toc-mobile',
+  '.md-source-file',
+  '.md-feedback',
+  '.edit-this-page',
+  '.feedback',
+  '.headerlink',
+  '.hash-link',
+  '.anchorjs-link',
+  '.copybtn',
+  '.copy-button',
+  '.clipboard-button',
+  '.skip-link',
+  '.sr-only',
+  '.visually-hidden',
+  'a[rel~="prev"]',
+  'a[rel~="next"]'
+].join(', ');
+
+// Cookie consent banners of common consent managers and themes. Matched by
+// whole names, since docs use ids like "set-cookie" for their own sections.
+const CONSENT_SELECTORS = [
+  '#onetrust-banner-sdk',
+  '#onetrust-consent-sdk',
+  '#CybotCookiebotDialog',
+  '#cookie-banner',
+  '#cookie-consent',
+  '#cookie-notice',
+  '.cookie-banner',
+  '.cookie-consent',
+  '.cookie-notice',
+  '.cc-window',
+  '[aria-label*="cookie consent" i]',
+  '[aria-label*="cookie banner" i]'
+].join(', ');
+
+// Headings and sections, which are the page's own even when named for cookies
+const CONTENT_ANCHORS = 'h1, h2, h3, h4, h5, h6, section, article';
+
+// Whole text of small elements that are chrome, such as "Edit this page" links
+const CHROME_TEXT = /^(edit (this page|on github)|suggest (an )?edits?|was this (page |article |section )?helpful\??|did this page help( you)?\??|copy( code| to clipboard)?|copied!?|skip to (main )?content|on this page|report an issue)$/i;
+
+// Whole text of previous and next page links, which prose may look like ("Open Settings →")
+const PAGER_TEXT = /^(previous|prev|next|(«|‹|←).*|.*(»|›|→))$/i;
+
+// Pagination containers, whose elements are checked against PAGER_TEXT
+const PAGER_SELECTORS = '.pagination, .pager, .page-nav, .pagination-nav';
+
+// Longest element text that is checked against CHROME_TEXT
+const CHROME_TEXT_LENGTH = 80;
+
+// URLs that are likely to be binary files or assets
+const ASSET_PATTERN = /\.(pdf|zip|jpg|jpeg|png|gif|svg|css|js|ico|woff|woff2|ttf|eot)$/i;
+
+/**
+ * Check whether a URL points at a binary file or asset rather than a page
+ * @param {string} url - URL to check
+ * @returns {boolean} - Whether the URL is an asset
+ */
+export function isAssetUrl(url) {
+  return ASSET_PATTERN.test(url);
+}
+
+/**
+ * Parse an HTML response body
+ * @param {string} html - HTML source
+ * @returns {import('cheerio').CheerioAPI} - Loaded document
+ */
+export function loadHtml(html) {
+  return cheerio.load(html);
+}
+
+/**
+ * Extract links from a parsed page that match the base domain, without their
+ * fragments. Query strings are kept for the crawl's canonicalizer to handle.
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} url - URL of the page, used to resolve relative links
+ * @param {string} baseDomain - Domain to filter links by
+ * @returns {string[]} - Array of discovered URLs
+ */
+export function extractLinks($, url, baseDomain) {
+  const links = new Set();
+
+  $('a').each((i, element) => {
+    const href = $(element).attr('href');
+    if (!href) return;
+
+    // Resolve relative URLs
+    let resolvedUrl;
+    try {
+      resolvedUrl = new URL(href, url).href;
+    } catch (e) {
+      return;
+    }
+
+    // Check if URL is from the same domain and not a file/resource
+    const urlObj = new URL(resolvedUrl);
+    urlObj.hash = ''; // A link to a section is a link to its page
+    if (
+      urlObj.hostname === baseDomain &&
+      !isAssetUrl(urlObj.pathname) // Skip downloads and media/assets
+    ) {
+      links.add(urlObj.href);
+    }
+  });
+
+  return Array.from(links);
+}
+
+/**
+ * Remove page chrome from the content of a page: known widgets by selector,
+ * site headers (but not a header holding the page title) and small elements
+ * whose whole text is a chrome phrase
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Element holding the page content
+ */
+function removeChrome($, container) {
+  container.find(CHROME_SELECTORS).remove();
+  container.find(CONSENT_SELECTORS).not(CONTENT_ANCHORS).remove();
+  container.find('header').filter((i, element) => $(element).find('h1, h2, h3, h4, h5, h6').length === 0).remove();
+
+  const isChrome = (element, pattern) => {
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    return text.length > 0 && text.length <= CHROME_TEXT_LENGTH && pattern.test(text);
+  };
+  container.find('a, p, span, div, li').filter((i, element) => isChrome(element, CHROME_TEXT)).remove();
+  // Arrows and "next" only mark links, or text inside a pagination container
+  container.find('a').add(container.find(PAGER_SELECTORS).find('*')).filter((i, element) => isChrome(element, PAGER_TEXT)).remove();
+}
+
+/**
+ * Resolve relative link and image URLs against the page's base URL (its
+ * <base href>, or the page URL), so they still work once the content is moved
+ * out of the page
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Element holding the page content
+ * @param {string} url - URL of the page
+ */
+function makeLinksAbsolute($, container, url) {
+  let base = url;
+  try {
+    base = new URL($('base[href]').first().attr('href') || url, url).href;
+  } catch (e) {
+    // Fall back to the page URL
+  }
+
+  for (const [selector, attribute] of [['a[href]', 'href'], ['img[src]', 'src']]) {
+    container.find(selector).each((i, element) => {
+      try {
+        $(element).attr(attribute, new URL($(element).attr(attribute), base).href);
+      } catch (e) {
+        // Leave unparseable URLs as they are
+      }
+    });
+  }
+}
+
+/**
+ * Map the HTML ids of a page's headings to their text, so links to a
+ * #fragment can be pointed at the heading in the compiled document. The id
+ * is taken from the heading, a section it opens or an anchor inside or
+ * right before it.
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Element holding the page content
+ * @returns {Object<string, string>} - Heading text by id
+ */
+function collectHeadingIds($, container) {
+  const ids = {};
+
+  container.find('h1, h2, h3, h4, h5, h6').each((i, element) => {
+    const heading = $(element);
+    const text = heading.text().replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    const parent = heading.parent();
+    const anchor = heading.find('a[id], a[name]').add(heading.prev('a[id], a[name]')).first();
+    const candidates = [
+      heading.attr('id'),
+      parent.children('h1, h2, h3, h4, h5, h6').first().is(heading) ? parent.attr('id') : null,
+      anchor.attr('id') || anchor.attr('name')
+    ];
+    candidates.filter(Boolean).forEach(id => { ids[id] = ids[id] || text; });
+  });
+
+  return ids;
+}
+
+/**
+ * Get the text of every element matching a selector
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} selector - CSS selector
+ * @returns {string[]} - Non-empty texts in document order
+ */
+function texts($, selector) {
+  return $(selector)
+    .map((i, element) => $(element).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter(Boolean);
+}
+
+/**
+ * Extract the documentation content of a parsed page as markdown
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} url - URL of the page
+ * @param {Object|null} [extractor] - Extractor of the page's framework, from detectFramework
+ * @returns {Object|null} - Page object with title, content, framework name, breadcrumbs and the text of every heading by its HTML id, or null if there is no usable content
+ */
+export function extractPageContent($, url, extractor = null) {
+  // Read the title and breadcrumbs before chrome removal takes them out
+  const heading = extractor && extractor.title ? texts($, extractor.title)[0] : null;
+  const title = heading || $('title').text().trim() || url;
+  const breadcrumbs = extractor && extractor.breadcrumbs ? texts($, extractor.breadcrumbs) : [];
+
+  // The framework's own content area first, then generic guesses
+  const contentSelectors = [...(extractor ? extractor.content : []), ...CONTENT_SELECTORS];
+
+  let container = null;
+  for (const selector of contentSelectors) {
+    const element = $(selector).first();
+    if (element.html()) {
+      logDebug(`Found content in ${url} using selector: ${selector}`);
+      container = element;
+      break;
+    }
+  }
+
+  if (!container) {
+    return null;
+  }
+
+  // Clean up the content before converting it to markdown. Tabs are labelled
+  // and code is set aside first, as chrome removal takes out their buttons.
+  container.find('script, style, noscript, iframe, svg').remove();
+  labelTabs($, container);
+  const codeBlocks = extractCodeBlocks($, container);
+  if (extractor && extractor.remove.length > 0) {
+    container.find(extractor.remove.join(', ')).remove();
+  }
+  removeChrome($, container);
+  makeLinksAbsolute($, container, url);
+  const headingIds = collectHeadingIds($, container);
+
+  // Convert HTML to Markdown
+  const markdown = restoreCodeBlocks(nhm.translate(container.html()), codeBlocks);
+
+  // Skip pages with very little content (likely not documentation)
+  if (markdown.length < 100) {
+    return null;
+  }
+
+  // Format initial content with title and source, without repeating a leading heading that is the title
+  const body = markdown.replace(/^\s*#{1,6}\s+(.*?)\s*#*\s*(\n|$)/, (line, text) => (text === title ? '' : line));
+  const formattedContent = `# ${title}\n\nSource: ${url}\n\n${body.trimStart()}`;
+
+  return {
+    url: url,
+    title: title,
+    content: formattedContent,
+    framework: extractor ? extractor.name : null,
+    breadcrumbs,
+    headingIds
+  };
+}
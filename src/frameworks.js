@@ -0,0 +1,185 @@
+/**
+ * Extractors tuned to the markup of popular documentation frameworks. Each is
+ * detected by the page's generator meta tag or by markup only it produces, and
+ * names where the framework puts the content, the page title, the breadcrumbs,
+ * the sidebar navigation and the version switcher, plus chrome to remove from
+ * the content.
+ */
+export const FRAMEWORKS = [
+  {
+    name: 'Docusaurus',
+    generator: /docusaurus/i,
+    markup: '#__docusaurus',
+    content: ['.theme-doc-markdown', 'article'],
+    title: '.theme-doc-markdown h1',
+    breadcrumbs: '.theme-doc-breadcrumbs .breadcrumbs__link',
+    nav: '.theme-doc-sidebar-menu',
+    versions: '.navbar .dropdown__menu a.dropdown__link',
+    remove: ['.theme-doc-version-banner', '.theme-doc-version-badge', '.theme-doc-toc-mobile', '.theme-doc-footer']
+  },
+  {
+    name: 'MkDocs',
+    generator: /mkdocs/i,
+    markup: '.md-container',
+    content: ['.md-content__inner', 'div[role="main"]'],
+    title: '.md-content__inner h1, div[role="main"] h1',
+    breadcrumbs: '.md-path__link',
+    nav: '.md-nav--primary',
+    versions: '.md-version__link',
+    remove: ['.md-content__button', '.md-source-file', '.md-feedback', '.headerlink']
+  },
+  {
+    name: 'Sphinx',
+    generator: /sphinx/i,
+    markup: '.wy-nav-content, .sphinxsidebar, .bd-article, .rst-content',
+    content: ['[itemprop="articleBody"]', '.bd-article', 'div.body', '.rst-content'],
+    title: '[itemprop="articleBody"] h1, .bd-article h1, div.body h1, .rst-content h1',
+    breadcrumbs: '.wy-breadcrumbs li a, .bd-breadcrumbs .breadcrumb-item a',
+    nav: '.wy-menu-vertical, .bd-docs-nav, .sphinxsidebarwrapper',
+    versions: '.rst-versions a, .version-switcher__menu a',
+    remove: ['.headerlink', '.rst-footer-buttons', '.prev-next-area', '.viewcode-link']
+  },
+  {
+    name: 'VitePress',
+    generator: /vitepress/i,
+    markup: '#VPContent',
+    content: ['.vp-doc', '.VPDoc .content'],
+    title: '.vp-doc h1',
+    breadcrumbs: null,
+    nav: '#VPSidebarNav, .VPSidebar',
+    versions: null,
+    remove: ['.header-anchor', '.VPDocFooter', 'button.copy', 'span.lang']
+  },
+  {
+    name: 'GitBook',
+    generator: /gitbook/i,
+    markup: '.book-summary, .gitbook-root',
+    content: ['.page-inner .markdown-section', 'main'],
+    title: 'main h1, .markdown-section h1',
+    breadcrumbs: 'main nav[aria-label="Breadcrumb"] a',
+    nav: '.book-summary, nav[aria-label="Table of contents"], aside nav',
+    versions: null,
+    remove: ['[data-testid="page.feedback"]', '.page-footer']
+  },
+  {
+    name: 'Nextra',
+    generator: /nextra/i,
+    markup: '.nextra-sidebar-container, .nextra-content, .nextra-nav-container',
+    content: ['main[data-pagefind-body]', 'article main', '.nextra-content main'],
+    title: 'main h1',
+    breadcrumbs: '.nextra-breadcrumb a, .nextra-breadcrumb span',
+    nav: '.nextra-sidebar-container',
+    versions: null,
+    remove: ['.nextra-toc', '.subheading-anchor', '.nextra-pagination']
+  },
+  {
+    name: 'Mintlify',
+    generator: /mintlify/i,
+    markup: '#content-area, #navigation-items',
+    content: ['#content-area .mdx-content', '#content-area'],
+    title: '#page-title',
+    breadcrumbs: '#content-area header .eyebrow',
+    nav: '#navigation-items',
+    versions: null,
+    remove: ['#pagination', '.feedback-toolbar', '#footer']
+  },
+  {
+    name: 'rustdoc',
+    generator: /rustdoc/i,
+    markup: '.rustdoc',
+    content: ['#main-content'],
+    title: '.main-heading h1',
+    breadcrumbs: '.main-heading .rustdoc-breadcrumbs a',
+    nav: '.sidebar-elems',
+    versions: null,
+    remove: ['.out-of-band', 'a.src', 'a.anchor', 'rustdoc-toolbar', '#copy-path']
+  },
+  {
+    name: 'Javadoc',
+    generator: /javadoc/i,
+    markup: '.contentContainer, .content-container',
+    content: ['main[role="main"]', '.contentContainer', '.content-container'],
+    title: 'h1.title, h2.title',
+    breadcrumbs: '.sub-nav .sub-nav-list a',
+    nav: null,
+    versions: null,
+    remove: ['.top-nav', '.sub-nav', '.bottom-nav', '.skip-nav']
+  }
+];
+
+/**
+ * Turn a string, or a list of strings, into a list
+ * @param {string|string[]|undefined} value - Value from the config file
+ * @returns {string[]} - List of strings
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate custom extractors from the config file and put them ahead of the
+ * built-in framework extractors
+ * @param {Array<Object>} [custom] - Extractors from the `extractors` config option, each with a name, a `generator` pattern and/or `markup` selector to detect it, and `content`, `title`, `breadcrumbs`, `nav`, `versions` and `remove` selectors
+ * @returns {Array<Object>} - Extractors to detect pages with, custom ones first
+ * @throws {Error} - If a custom extractor is invalid
+ */
+export function createExtractors(custom = []) {
+  if (!Array.isArray(custom)) {
+    throw new Error('The extractors option must be a list of extractors');
+  }
+
+  const extractors = custom.map((extractor, index) => {
+    const label = extractor && extractor.name ? `Extractor "${extractor.name}"` : `Extractor ${index + 1}`;
+    if (!extractor || typeof extractor !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!extractor.generator && !extractor.markup) {
+      throw new Error(`${label} needs a "generator" pattern or a "markup" selector to detect its pages`);
+    }
+    if (toList(extractor.content).length === 0) {
+      throw new Error(`${label} needs at least one "content" selector`);
+    }
+
+    let generator = null;
+    if (extractor.generator) {
+      try {
+        generator = new RegExp(extractor.generator, 'i');
+      } catch (error) {
+        throw new Error(`${label} has an invalid generator pattern: ${error.message}`);
+      }
+    }
+
+    return {
+      name: extractor.name || `custom ${index + 1}`,
+      generator,
+      markup: extractor.markup || null,
+      content: toList(extractor.content),
+      title: extractor.title || null,
+      breadcrumbs: extractor.breadcrumbs || null,
+      nav: extractor.nav || null,
+      versions: extractor.versions || null,
+      remove: toList(extractor.remove)
+    };
+  });
+
+  return [...extractors, ...FRAMEWORKS];
+}
+
+/**
+ * Find the extractor for a page, by its generator meta tags or its markup
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {Array<Object>} [extractors] - Extractors from createExtractors (default: the built-in ones)
+ * @returns {Object|null} - Matching extractor, or null for pages of unknown frameworks
+ */
+export function detectFramework($, extractors = FRAMEWORKS) {
+  const generators = $('meta[name="generator" i]')
+    .map((i, element) => $(element).attr('content') || '')
+    .get()
+    .join(' ');
+
+  // A generator tag is the stronger signal, so it is checked for every extractor first
+  return extractors.find(extractor => extractor.generator && extractor.generator.test(generators)) ||
+    extractors.find(extractor => extractor.markup && $(extractor.markup).length > 0) ||
+    null;
+}
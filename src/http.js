@@ -0,0 +1,85 @@
+import axios from 'axios';
+import { logDebug } from './logger.js';
+
+/**
+ * User-Agent sent with every request unless overridden with --user-agent
+ */
+export const DEFAULT_USER_AGENT = 'docs2context/0.1.0 (+https://github.com/snbafana/docs2context)';
+
+/**
+ * Create an HTTP client that identifies itself honestly and spaces out
+ * requests to the same host
+ * @param {Object} [options] - Client options
+ * @param {string} [options.userAgent] - User-Agent header to send
+ * @param {number} [options.delay] - Minimum delay between requests to the same host in milliseconds
+ * @returns {{userAgent: string, get: Function, setHostDelay: Function, getHostDelay: Function}} - HTTP client
+ */
+export function createHttpClient(options = {}) {
+  const {
+    userAgent = DEFAULT_USER_AGENT,
+    delay = 0
+  } = options;
+
+  // Per-host minimum delay (crawl-delay can raise it above the default)
+  const hostDelays = new Map();
+  // Per-host timestamp before which the next request may not start
+  const nextRequestAt = new Map();
+
+  /**
+   * Get the delay enforced between requests to a host
+   * @param {string} hostname - Host to look up
+   * @returns {number} - Delay in milliseconds
+   */
+  function getHostDelay(hostname) {
+    return Math.max(delay, hostDelays.get(hostname) || 0);
+  }
+
+  /**
+   * Raise the delay enforced between requests to a host
+   * @param {string} hostname - Host to configure
+   * @param {number} ms - Delay in milliseconds
+   */
+  function setHostDelay(hostname, ms) {
+    hostDelays.set(hostname, ms);
+  }
+
+  /**
+   * Reserve the next request slot for a host and wait until it arrives
+   * @param {string} hostname - Host about to be requested
+   */
+  async function waitForTurn(hostname) {
+    const hostDelay = getHostDelay(hostname);
+    if (hostDelay <= 0) return;
+
+    // Reserve the slot synchronously so concurrent callers queue up behind each other
+    const now = Date.now();
+    const slot = Math.max(now, nextRequestAt.get(hostname) || 0);
+    nextRequestAt.set(hostname, slot + hostDelay);
+
+    if (slot > now) {
+      logDebug(`Waiting ${slot - now}ms before requesting ${hostname}`);
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Perform a GET request
+   * @param {string} url - URL to fetch
+   * @param {Object} [config] - Extra axios request config
+   * @returns {Promise<import('axios').AxiosResponse>} - Axios response
+   */
+  async function get(url, config = {}) {
+    await waitForTurn(new URL(url).hostname);
+
+    return axios.get(url, {
+      timeout: 15000,
+      ...config,
+      headers: {
+        'User-Agent': userAgent,
+        ...config.headers
+      }
+    });
+  }
+
+  return { userAgent, get, setHostDelay, getHostDelay };
+}
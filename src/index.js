@@ -1,20 +1,30 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import inquirer from 'inquirer';
-import fs from 'fs/promises';
 import path from 'path';
 import { NodeHtmlMarkdown } from 'node-html-markdown';
 import { fileURLToPath } from 'url';
 import { Command } from 'commander';
 
-import { searchForDocumentation } from './search.js';
-import { scrapeContent } from './scraper.js';
+import { searchForDocumentation, pickBestResult } from './search.js';
+import { scrapeContent, openCrawl } from './scraper.js';
+import { writeOutput, defaultOutputPath } from './writers.js';
+import { createProvider, createEmbedder } from './providers.js';
+import { buildIndex, loadIndex, searchIndex, projectSlug } from './docindex.js';
+import { createExtractors } from './frameworks.js';
+import { checkQueryParams } from './canonical.js';
+import { checkPatterns, checkPrefix } from './scope.js';
+import { discoverVersions, findVersion } from './versions.js';
+import { checkLocale, describeLeftOut } from './locales.js';
+import { checkSources, resolveSourceOptions, renderBundle } from './sources.js';
+import { dataPath } from './config.js';
 import { 
   logger, 
   logInfo, 
   logSuccess, 
   logWarning, 
-  logError 
+  logError,
+  setConsoleLogging
 } from './logger.js';
 import {
   displayHeader,
@@ -26,9 +36,86 @@ import {
   formatUrl,
   formatFilePath,
   formatTitle,
-  formatHeading
+  formatHeading,
+  formatListItem,
+  displayText,
+  setSilent
 } from './ui.js';
 
+/**
+ * Process exit codes returned by addDocumentation
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  CANCELLED: 4,
+  SCRAPE_FAILED: 5
+};
+
+/**
+ * Choose a search result without prompting
+ * @param {Array<{title: string, url: string}>} results - Search results
+ * @param {string|number} pick - 1-based result index or 'best'
+ * @param {string} projectName - Name of the project that was searched for
+ * @returns {{title: string, url: string}|null} - The chosen result, or null if the pick is out of range
+ */
+function pickSearchResult(results, pick, projectName) {
+  if (pick === 'best') {
+    return pickBestResult(results, projectName);
+  }
+
+  return results[pick - 1] || null;
+}
+
+/**
+ * Check scraping options before any crawling happens, reporting the first problem
+ * @param {Object} options - Options as addDocumentation takes them
+ * @param {string} [label] - Name of the source the options belong to, prefixed to error messages
+ * @param {string} [startUrl] - URL the crawl starts from, when already known
+ * @returns {{error: string|null, embedder: Object|null}} - The problem found, or the embedder for the search index when the options are valid
+ */
+function checkOptions(options, label, startUrl) {
+  const checks = [
+    // A missing API key only matters when AI cleaning is on
+    ['Invalid AI provider configuration', () => !options.disableAI && createProvider(options.ai)],
+    // Custom extractors in the config file
+    ['Invalid extractor configuration', () => createExtractors(options.extractors)],
+    ['Invalid query parameter configuration', () => checkQueryParams(options.queryParams ?? 'drop')],
+    ['Invalid language setting', () => options.lang !== undefined && checkLocale(options.lang)],
+    // Patterns are compiled here so a bad regex fails before anything is fetched
+    ['Invalid include pattern', () => checkPatterns(options.include, 'include')],
+    ['Invalid exclude pattern', () => checkPatterns(options.exclude, 'exclude')],
+    ['Invalid path prefix', () => startUrl && options.prefix !== undefined && options.confine !== false && checkPrefix(options.prefix, startUrl)]
+  ];
+
+  for (const [description, check] of checks) {
+    try {
+      check();
+    } catch (error) {
+      const message = label ? `${label}: ${error.message}` : error.message;
+      displayError(message);
+      logError(description, error);
+      return { error: message, embedder: null };
+    }
+  }
+
+  // Same for the embedding model of the search index
+  let embedder = null;
+  if (options.embeddings) {
+    try {
+      embedder = createEmbedder(options.embeddings);
+    } catch (error) {
+      displayError(error.message);
+      logError('Invalid embedding configuration', error);
+      return { error: error.message, embedder: null };
+    }
+  }
+
+  return { error: null, embedder };
+}
+
 /**
  * Main function to add documentation for a project
  * @param {string} projectName - Name of the project to document
@@ -36,17 +123,84 @@ import {
  * @param {Object} [options] - Additional options
  * @param {boolean} [options.disableAI] - Whether to disable AI cleaning
  * @param {number} [options.concurrency] - Number of concurrent operations
+ * @param {boolean} [options.yes] - Skip all prompts, picking the best source unless `pick` is set
+ * @param {string|number} [options.pick] - Search result to use: 1-based index or 'best'
+ * @param {boolean} [options.json] - Print a machine-readable result instead of terminal output
+ * @param {string} [options.userAgent] - User-Agent to identify the crawler with
+ * @param {number} [options.delay] - Minimum delay between requests to the same host in milliseconds
+ * @param {string} [options.sitemap] - How to use sitemap.xml: 'seed', 'only' or 'off'
+ * @param {boolean} [options.confine] - Only crawl below the start URL's path prefix
+ * @param {string} [options.prefix] - Path prefix to confine the crawl to
+ * @param {string[]} [options.include] - Patterns a page must match to be kept
+ * @param {string[]} [options.exclude] - Patterns of pages to leave out
+ * @param {string} [options.docVersion] - Documentation version to scrape, by its label or URL segment (default: the start URL's, or a prompt when interactive)
+ * @param {string} [options.lang] - Locale of the pages to keep, or 'all' (default: the start URL's locale, else the start page's <html lang>, else English)
+ * @param {string|string[]} [options.queryParams] - Query parameters to crawl URLs with: 'drop', 'keep' or a list of names to keep
+ * @param {number} [options.maxDepth] - Maximum link depth to crawl
+ * @param {number} [options.maxPages] - Maximum number of pages to scrape
+ * @param {number} [options.maxTokens] - Token budget for the output
+ * @param {number} [options.splitTokens] - Split the output into parts of at most this many tokens
+ * @param {number} [options.splitBytes] - Split the output into parts of at most this many bytes
+ * @param {boolean} [options.refresh] - Ignore the page cache and refetch everything
+ * @param {string} [options.cacheDir] - Directory for the page cache
+ * @param {string} [options.dataDir] - Directory the search index, page cache and crawl checkpoints are kept in (default: .docs2context)
+ * @param {boolean} [options.resume] - Continue from the checkpoint of an interrupted crawl
+ * @param {Object} [options.ai] - LLM provider settings: provider, model, temperature, maxTokens, baseUrl
+ * @param {Object} [options.embeddings] - Embedding settings for the search index: provider, model, baseUrl (keyword index only when unset)
+ * @param {string} [options.format] - Output format, one of FORMATS in writers.js (default: 'markdown')
+ * @param {string} [options.output] - File or directory to write to (default depends on the format)
+ * @returns {Promise<number>} - One of EXIT_CODES
  */
 export async function addDocumentation(projectName, directUrl, options = {}) {
+  const { json = false } = options;
+  const interactive = !json && !options.yes;
+  const pick = options.pick ?? (interactive ? undefined : 'best');
+
+  if (json) {
+    setSilent(true);
+    setConsoleLogging(false);
+  }
+
+  // Print the machine-readable result (in --json mode) and hand back the exit code
+  const finish = (exitCode, details = {}) => {
+    if (json) {
+      console.log(JSON.stringify({
+        ok: exitCode === EXIT_CODES.SUCCESS,
+        exitCode,
+        project: projectName,
+        ...details
+      }, null, 2));
+    }
+    return exitCode;
+  };
+
   try {
     // Display welcome header
     displayHeader();
-    console.log(directUrl)
     
     logInfo(`Starting documentation process for project: ${projectName}`);
     if (directUrl) {
       logInfo(`Using direct URL: ${directUrl}`);
     }
+
+    // Prompts would hang forever without a terminal to answer them
+    if (interactive && !process.stdin.isTTY) {
+      const message = 'Cannot prompt for input without a terminal. Use --yes (and optionally --pick) to run non-interactively.';
+      displayError(message);
+      logError(message);
+      return finish(EXIT_CODES.USAGE, { error: message });
+    }
+
+    // Catch misconfiguration (e.g. a missing API key) before any crawling happens
+    const { error: invalid, embedder } = checkOptions(options, undefined, directUrl);
+    if (invalid) {
+      return finish(EXIT_CODES.USAGE, { error: invalid });
+    }
+    
+    if ((options.splitTokens || options.splitBytes) && (options.format || 'markdown') !== 'markdown') {
+      displayWarning('--split-tokens and --split-bytes only apply to the markdown format and are ignored');
+      logWarning(`Ignoring split options for the ${options.format} format`);
+    }
     
     let documentationUrl = directUrl;
     
@@ -59,93 +213,529 @@ export async function addDocumentation(projectName, directUrl, options = {}) {
         if (searchResults.length === 0) {
           displayWarning(`No documentation found for ${formatTitle(projectName)}. Try providing a direct URL.`);
           logWarning(`No documentation found for project: ${projectName}`);
-          return;
+          return finish(EXIT_CODES.NOT_FOUND, { error: `No documentation found for ${projectName}` });
         }
         
-        displayInfo(formatHeading('Please select the documentation source'));
-        
-        // Let user select the correct documentation
-        const { selectedUrl } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'selectedUrl',
-            message: 'Choose the most appropriate documentation source:',
-            loop: false,
-            pageSize: 10,
-            choices: searchResults.map(result => ({
-              name: `${result.title} (${formatUrl(result.url)})`,
-              value: result.url
-            }))
+        if (pick !== undefined) {
+          const result = pickSearchResult(searchResults, pick, projectName);
+          if (!result) {
+            const message = `--pick ${pick} is out of range, only ${searchResults.length} results were found`;
+            displayError(message);
+            logError(message);
+            return finish(EXIT_CODES.USAGE, { error: message });
           }
-        ]);
-        
-        documentationUrl = selectedUrl;
-        logInfo(`User selected documentation URL: ${documentationUrl}`);
+          documentationUrl = result.url;
+          displayInfo(`Selected documentation source: ${result.title} (${formatUrl(result.url)})`);
+          logInfo(`Picked documentation URL (--pick ${pick}): ${documentationUrl}`);
+        } else {
+          displayInfo(formatHeading('Please select the documentation source'));
+          
+          // Let user select the correct documentation
+          const { selectedUrl } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'selectedUrl',
+              message: 'Choose the most appropriate documentation source:',
+              loop: false,
+              pageSize: 10,
+              choices: searchResults.map(result => ({
+                name: `${result.title} (${formatUrl(result.url)})`,
+                value: result.url
+              }))
+            }
+          ]);
+          
+          documentationUrl = selectedUrl;
+          logInfo(`User selected documentation URL: ${documentationUrl}`);
+        }
       } catch (error) {
         displayError(`Search failed: ${error.message}`);
         logError('Error searching for documentation', error);
-        return;
+        return finish(EXIT_CODES.NOT_FOUND, { error: `Search failed: ${error.message}` });
+      }
+
+      // --prefix can only be checked against a searched URL once it's picked
+      if (options.prefix !== undefined && options.confine !== false) {
+        try {
+          checkPrefix(options.prefix, documentationUrl);
+        } catch (error) {
+          displayError(error.message);
+          logError('Invalid path prefix', error);
+          return finish(EXIT_CODES.USAGE, { source: documentationUrl, error: error.message });
+        }
       }
     }
-    
+
     // Confirm the URL with the user
-    displayInfo(formatHeading('Confirmation'));
-    
-    const { confirmed } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirmed',
-        message: `Will scrape documentation from: ${formatUrl(documentationUrl)}\nContinue with this source?`,
-        default: true
-      }
-    ]);
-    
-    if (!confirmed) {
-      displayInfo('Operation cancelled by user.');
-      logInfo('Operation cancelled by user.');
-      return;
+    if (interactive) {
+      displayInfo(formatHeading('Confirmation'));
+      
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Will scrape documentation from: ${formatUrl(documentationUrl)}\nContinue with this source?`,
+          default: true
+        }
+      ]);
+      
+      if (!confirmed) {
+        displayInfo('Operation cancelled by user.');
+        logInfo('Operation cancelled by user.');
+        return finish(EXIT_CODES.CANCELLED, { source: documentationUrl, error: 'Operation cancelled by user' });
+      }
     }
     
+    // Versioned docs are scraped one version at a time
+    const crawl = await openCrawl(documentationUrl, options);
+    const { current, versions } = await discoverVersions(
+      documentationUrl,
+      crawl,
+      createExtractors(options.extractors)
+    );
+    let version = current;
+    if (options.docVersion) {
+      version = findVersion(versions, options.docVersion);
+      if (!version) {
+        const available = versions.length > 0
+          ? `available versions: ${versions.map(({ label }) => label).join(', ')}`
+          : 'the docs don\'t appear to be versioned';
+        const message = `Version "${options.docVersion}" was not found at ${documentationUrl} (${available})`;
+        displayError(message);
+        logError(message);
+        return finish(EXIT_CODES.USAGE, { source: documentationUrl, error: message });
+      }
+    } else if (versions.length > 1 && interactive) {
+      ({ version } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'version',
+          message: 'These docs have several versions. Which one should be scraped?',
+          loop: false,
+          choices: versions.map(choice => ({
+            name: `${choice.label} (${formatUrl(choice.url)})`,
+            value: choice
+          })),
+          default: versions.indexOf(current)
+        }
+      ]));
+    } else if (versions.length > 1) {
+      logInfo(`Scraping version ${current.label} of ${versions.length}, pick another with --doc-version`);
+    }
+
+    if (version) {
+      if (version !== current) {
+        documentationUrl = version.url;
+      }
+      displayInfo(`Documentation version: ${formatTitle(version.label)}`);
+      logInfo(`Scraping documentation version ${version.label} from ${documentationUrl}`);
+    }
+
     // Start scraping process
     try {
       // Pass options to the scraper
       // Scraping functionality is handled in scraper.js with its own spinner
-      const content = await scrapeContent(documentationUrl, options);
+      const result = await scrapeContent(documentationUrl, { ...options, version, crawl });
+      const { content, pages, scrapedPages, tokens, omitted, skipped, warnings, verification, language } = result;
+      
+      if (pages.length === 0) {
+        return finish(EXIT_CODES.SCRAPE_FAILED, {
+          source: documentationUrl,
+          error: describeLeftOut(language) || 'No documentation pages were successfully scraped',
+          language,
+          skipped,
+          warnings
+        });
+      }
       
       if (options.disableAI) {
         logInfo('AI cleaning was disabled for this scrape');
       }
       
-      // Create output directory if it doesn't exist
+      // Write the documentation in the requested format
+      const format = options.format || 'markdown';
+      const spinner = createSpinner(`Saving documentation as ${format}...`);
+      spinner.start();
+
+      let written;
       try {
-        await fs.mkdir('output', { recursive: true });
-      } catch (err) {
-        logWarning(`Failed to create output directory: ${err.message}`);
+        written = await writeOutput(format, result, { projectName, source: documentationUrl, output: options.output });
+      } catch (error) {
+        spinner.fail(`Failed to save documentation: ${error.message}`);
+        logError('Failed to save documentation', error);
+        return finish(EXIT_CODES.FAILURE, { source: documentationUrl, error: `Failed to save documentation: ${error.message}` });
+      }
+
+      spinner.succeed(`Documentation saved to ${formatFilePath(written.path)}`);
+      logSuccess(`Documentation successfully saved to ${written.path}`);
+
+      // Index every scraped page so it can be searched offline later
+      const indexSpinner = createSpinner(embedder ? `Indexing and embedding with ${embedder.model}...` : 'Indexing for search...');
+      indexSpinner.start();
+      let index = null;
+      try {
+        index = await buildIndex(projectName, documentationUrl, scrapedPages, {
+          embedder,
+          embedding: options.embeddings && { baseUrl: options.embeddings.baseUrl },
+          dir: dataPath('index', options.dataDir)
+        });
+        indexSpinner.succeed(`Indexed ${index.chunks} chunks for search${index.embedded ? ' with embeddings' : ''}`);
+      } catch (error) {
+        indexSpinner.fail(`Failed to build the search index: ${error.message}`);
+        logWarning(`Failed to build the search index: ${error.message}`);
       }
-      
-      // Create file name based on project name
-      const fileName = `output/${projectName.toLowerCase().replace(/[^a-z0-9]/g, '-')}-docs.md`;
-      const spinner = createSpinner(`Saving documentation to ${formatFilePath(fileName)}...`);
-      spinner.start();
-      
-      await fs.writeFile(fileName, content);
-      
-      spinner.succeed(`Documentation saved to ${formatFilePath(fileName)}`);
-      logSuccess(`Documentation successfully saved to ${fileName}`);
       
       // Show summary
       displayInfo(formatHeading('Summary'));
       displaySuccess(`Project: ${formatTitle(projectName)}`);
       displaySuccess(`Source: ${formatUrl(documentationUrl)}`);
-      displaySuccess(`Output: ${formatFilePath(fileName)}`);
+      if (version) {
+        displaySuccess(`Version: ${formatTitle(version.label)}`);
+      }
+      const leftOut = language.excluded > 0 ? ` (${language.excluded} URLs in other languages left out)` : '';
+      displaySuccess(`Language: ${formatTitle(language.selected)}${leftOut}`);
+      displaySuccess(`Output: ${formatFilePath(written.path)}`);
+      if (written.files.length > 1) {
+        displaySuccess(`Files: ${formatFilePath(written.files.length.toString())}`);
+      }
+      displaySuccess(`Pages: ${formatFilePath(pages.length.toString())}`);
       displaySuccess(`Content size: ${formatFilePath((content.length / 1024).toFixed(2) + ' KB')}`);
+      const budget = options.maxTokens ? ` of ${options.maxTokens.toLocaleString()} budget` : '';
+      displaySuccess(`Tokens: ${formatFilePath(tokens.toLocaleString())}${budget}`);
+      if (verification.length > 0) {
+        const passed = verification.filter(({ status }) => status === 'passed' || status === 'retried').length;
+        displaySuccess(`AI verification: ${formatFilePath(`${passed}/${verification.length}`)} pages passed`);
+      }
+      if (skipped.length > 0) {
+        displayWarning(`Skipped URLs: ${skipped.length}`);
+        skipped.forEach(({ url, reason }) => logInfo(`Skipped ${url}: ${reason}`));
+      }
+      warnings.forEach(warning => displayWarning(warning));
       
+      return finish(EXIT_CODES.SUCCESS, {
+        source: documentationUrl,
+        version: version ? version.label : null,
+        language,
+        format,
+        output: path.resolve(written.path),
+        files: written.files.map(file => path.resolve(file)),
+        parts: written.parts.map(part => ({
+          file: path.resolve(part.path),
+          pages: part.sections.reduce((sum, section) => sum + section.pages.length, 0),
+          tokens: part.tokens,
+          bytes: part.bytes
+        })),
+        pages: pages.length,
+        bytes: Buffer.byteLength(content),
+        tokens,
+        maxTokens: options.maxTokens,
+        pageTokens: pages.map(({ url, title, tokens, condensed }) => ({ url, title, tokens, condensed: Boolean(condensed) })),
+        omitted,
+        index: index && { file: path.resolve(index.file), chunks: index.chunks, embedded: index.embedded },
+        skipped,
+        warnings,
+        verification
+      });
     } catch (error) {
       displayError(`Scraping failed: ${error.message}`);
       logError('Error scraping documentation', error);
+      return finish(EXIT_CODES.SCRAPE_FAILED, { source: documentationUrl, error: `Scraping failed: ${error.message}` });
+    }
+  } catch (error) {
+    displayError(`An unexpected error occurred: ${error.message}`);
+    logError('An unexpected error occurred', error);
+    return finish(EXIT_CODES.FAILURE, { error: error.message });
+  }
+}
+
+/**
+ * Build a project from the sources listed in its manifest: scrape every source
+ * with its own options and write one bundle with a section per source, or one
+ * output per source. Builds never prompt.
+ * @param {Object} config - Manifest from the config file, with `sources` and the options they share
+ * @param {Object} [options] - Build options
+ * @param {string} [options.project] - Project name (default: the manifest's `project`, else the current directory's name)
+ * @param {string} [options.bundle] - 'single' (default) or 'per-source'
+ * @param {string} [options.format] - Output format, one of FORMATS in writers.js (default: 'markdown')
+ * @param {string} [options.output] - File or directory for a single bundle, directory for per-source output (default: under output/)
+ * @param {boolean} [options.json] - Print a machine-readable result instead of terminal output
+ * @param {Object} [options.overrides] - Scraping options from the command line, applied to every source
+ * @returns {Promise<number>} - One of EXIT_CODES
+ */
+export async function buildDocumentation(config, options = {}) {
+  const { json = false, overrides = {} } = options;
+  const projectName = options.project || config.project || path.basename(process.cwd());
+  const bundle = options.bundle || config.bundle || 'single';
+  const format = options.format || config.format || 'markdown';
+
+  if (json) {
+    setSilent(true);
+    setConsoleLogging(false);
+  }
+
+  const finish = (exitCode, details = {}) => {
+    if (json) {
+      console.log(JSON.stringify({
+        ok: exitCode === EXIT_CODES.SUCCESS,
+        exitCode,
+        project: projectName,
+        bundle,
+        ...details
+      }, null, 2));
     }
+    return exitCode;
+  };
+
+  try {
+    displayHeader();
+    logInfo(`Starting build of project: ${projectName}`);
+
+    try {
+      checkSources({ ...config, bundle });
+    } catch (error) {
+      displayError(error.message);
+      logError('Invalid project manifest', error);
+      return finish(EXIT_CODES.USAGE, { error: error.message });
+    }
+
+    // Check every source before crawling any, so a typo doesn't fail the build halfway
+    const sources = config.sources.map(source => ({
+      name: source.name,
+      url: source.url,
+      options: { ...resolveSourceOptions(config, source, overrides), yes: true, json }
+    }));
+    for (const source of sources) {
+      const { error } = checkOptions(source.options, `Source "${source.name}"`, source.url);
+      if (error) {
+        return finish(EXIT_CODES.USAGE, { error });
+      }
+    }
+    const { error: invalid, embedder } = checkOptions({ disableAI: true, embeddings: config.embeddings });
+    if (invalid) {
+      return finish(EXIT_CODES.USAGE, { error: invalid });
+    }
+
+    if (bundle === 'single' && sources.some(source => source.options.splitTokens || source.options.splitBytes)) {
+      displayWarning('--split-tokens and --split-bytes only apply to per-source bundles and are ignored');
+      logWarning('Ignoring split options for a single bundle');
+    }
+
+    // Versioned docs are scraped one version at a time. Every source's version
+    // is looked up before any is crawled, so an unknown one fails the build up front.
+    const targets = [];
+    for (const source of sources) {
+      const crawl = await openCrawl(source.url, source.options);
+      const { current, versions } = await discoverVersions(
+        source.url,
+        crawl,
+        createExtractors(source.options.extractors)
+      );
+      let version = current;
+      if (source.options.docVersion) {
+        version = findVersion(versions, source.options.docVersion);
+        if (!version) {
+          const available = versions.length > 0
+            ? `available versions: ${versions.map(({ label }) => label).join(', ')}`
+            : 'the docs don\'t appear to be versioned';
+          const message = `Source "${source.name}": version "${source.options.docVersion}" was not found at ${source.url} (${available})`;
+          displayError(message);
+          logError(message);
+          return finish(EXIT_CODES.USAGE, { error: message });
+        }
+      }
+      targets.push({ source, crawl, version, url: version && version !== current ? version.url : source.url });
+    }
+
+    // Scrape the sources one after another, each with its own options
+    const built = [];
+    const failed = [];
+    for (const { source, crawl, version, url } of targets) {
+      displayInfo(formatHeading(`Source: ${source.name}`));
+      logInfo(`Building source ${source.name} from ${url}`);
+
+      try {
+        const result = await scrapeContent(url, { ...source.options, version, crawl });
+        if (result.pages.length === 0) {
+          failed.push({ name: source.name, source: url, error: describeLeftOut(result.language) || 'No documentation pages were successfully scraped' });
+          continue;
+        }
+        built.push({ name: source.name, url, options: source.options, result });
+      } catch (error) {
+        displayError(`Scraping ${source.name} failed: ${error.message}`);
+        logError(`Error scraping source ${source.name}`, error);
+        failed.push({ name: source.name, source: url, error: `Scraping failed: ${error.message}` });
+      }
+    }
+
+    failed.forEach(({ name, error }) => displayWarning(`Source ${name}: ${error}`));
+    if (built.length === 0) {
+      return finish(EXIT_CODES.SCRAPE_FAILED, { error: 'No source could be scraped', failed });
+    }
+
+    // Write one bundle, or one output per source in a project directory
+    const spinner = createSpinner(`Saving documentation as ${format}...`);
+    spinner.start();
+
+    const outputs = [];
+    const combined = bundle === 'single' ? renderBundle(built) : null;
+    try {
+      if (combined) {
+        const written = await writeOutput(format, combined, {
+          projectName,
+          source: built.map(({ url }) => url).join(', '),
+          output: options.output
+        });
+        outputs.push(written);
+      } else {
+        const directory = options.output || `output/${projectSlug(projectName)}`;
+        for (const { name, url, result } of built) {
+          const written = await writeOutput(format, result, {
+            projectName: `${projectName} ${name}`,
+            source: url,
+            output: path.join(directory, path.basename(defaultOutputPath(format, name)))
+          });
+          outputs.push({ name, ...written });
+        }
+      }
+    } catch (error) {
+      spinner.fail(`Failed to save documentation: ${error.message}`);
+      logError('Failed to save documentation', error);
+      return finish(EXIT_CODES.FAILURE, { error: `Failed to save documentation: ${error.message}`, failed });
+    }
+
+    const outputPath = bundle === 'single' ? outputs[0].path : options.output || `output/${projectSlug(projectName)}`;
+    spinner.succeed(`Documentation saved to ${formatFilePath(outputPath)}`);
+    logSuccess(`Documentation of ${built.length} sources saved to ${outputPath}`);
+
+    // One search index covers every source
+    const indexSpinner = createSpinner(embedder ? `Indexing and embedding with ${embedder.model}...` : 'Indexing for search...');
+    indexSpinner.start();
+    let index = null;
+    try {
+      index = await buildIndex(projectName, built.map(({ url }) => url).join(', '), built.flatMap(({ result }) => result.scrapedPages), {
+        embedder,
+        embedding: config.embeddings && { baseUrl: config.embeddings.baseUrl },
+        dir: dataPath('index', overrides.dataDir || config.dataDir)
+      });
+      indexSpinner.succeed(`Indexed ${index.chunks} chunks for search${index.embedded ? ' with embeddings' : ''}`);
+    } catch (error) {
+      indexSpinner.fail(`Failed to build the search index: ${error.message}`);
+      logWarning(`Failed to build the search index: ${error.message}`);
+    }
+
+    displayInfo(formatHeading('Summary'));
+    displaySuccess(`Project: ${formatTitle(projectName)}`);
+    built.forEach(({ name, url, result }) => {
+      const versionNote = result.version ? `, version ${result.version}` : '';
+      displaySuccess(`${formatTitle(name)}: ${formatFilePath(result.pages.length.toString())} pages, ${formatFilePath(result.tokens.toLocaleString())} tokens${versionNote} (${formatUrl(url)})`);
+    });
+    displaySuccess(`Output: ${formatFilePath(outputPath)}`);
+    if (combined) {
+      displaySuccess(`Tokens: ${formatFilePath(combined.tokens.toLocaleString())}`);
+    }
+    const files = outputs.flatMap(written => written.files);
+    if (files.length > 1) {
+      displaySuccess(`Files: ${formatFilePath(files.length.toString())}`);
+    }
+    const warnings = built.flatMap(({ name, result }) => result.warnings.map(warning => `${name}: ${warning}`));
+    warnings.forEach(warning => displayWarning(warning));
+
+    return finish(failed.length > 0 ? EXIT_CODES.SCRAPE_FAILED : EXIT_CODES.SUCCESS, {
+      format,
+      output: path.resolve(outputPath),
+      files: files.map(file => path.resolve(file)),
+      tokens: combined ? combined.tokens : undefined,
+      sources: built.map(({ name, url, result }) => ({
+        name,
+        source: url,
+        version: result.version,
+        language: result.language,
+        output: bundle === 'single' ? undefined : path.resolve(outputs.find(written => written.name === name).path),
+        pages: result.pages.length,
+        tokens: result.tokens,
+        omitted: result.omitted,
+        skipped: result.skipped
+      })),
+      failed,
+      index: index && { file: path.resolve(index.file), chunks: index.chunks, embedded: index.embedded },
+      warnings
+    });
   } catch (error) {
     displayError(`An unexpected error occurred: ${error.message}`);
     logError('An unexpected error occurred', error);
+    return finish(EXIT_CODES.FAILURE, { error: error.message });
+  }
+}
+
+/**
+ * Search the local index of a scraped project and show the best matching chunks
+ * @param {string} projectName - Name of a project that has been scraped
+ * @param {string} query - What to search for
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of results (default: 5)
+ * @param {boolean} [options.json] - Print a machine-readable result instead of terminal output
+ * @param {Object} [options.embeddings] - Embedding settings overriding the index's, e.g. a different baseUrl
+ * @param {string} [options.dataDir] - Directory the search index is kept in (default: .docs2context)
+ * @returns {Promise<number>} - One of EXIT_CODES
+ */
+export async function searchDocumentation(projectName, query, options = {}) {
+  const { json = false, limit = 5 } = options;
+
+  if (json) {
+    setSilent(true);
+    setConsoleLogging(false);
+  }
+
+  const finish = (exitCode, details = {}) => {
+    if (json) {
+      console.log(JSON.stringify({
+        ok: exitCode === EXIT_CODES.SUCCESS,
+        exitCode,
+        project: projectName,
+        query,
+        ...details
+      }, null, 2));
+    }
+    return exitCode;
+  };
+
+  try {
+    const index = await loadIndex(projectName, dataPath('index', options.dataDir));
+    if (!index) {
+      const message = `No search index for ${projectName}. Scrape it first with: docs2context ${projectName}`;
+      displayError(message);
+      logError(message);
+      return finish(EXIT_CODES.NOT_FOUND, { error: message });
+    }
+
+    // Queries are embedded with the model the index was built with
+    let embedder = null;
+    if (index.embedding) {
+      try {
+        embedder = createEmbedder({ ...index.embedding, ...options.embeddings, model: index.embedding.model, provider: index.embedding.provider });
+      } catch (error) {
+        displayWarning(`Using keyword search only: ${error.message}`);
+        logWarning(`Cannot embed queries for ${projectName}: ${error.message}`);
+      }
+    }
+
+    const { mode, results } = await searchIndex(index, query, { limit, embedder });
+    logInfo(`Searched ${projectName} for "${query}" (${mode}), ${results.length} results`);
+
+    if (results.length === 0) {
+      displayWarning(`No results for "${query}" in ${formatTitle(projectName)}`);
+    }
+    results.forEach((result, i) => {
+      const location = [result.title, ...result.headings.filter(heading => heading !== result.title)].join(' > ');
+      displayText(formatListItem(`${formatTitle(location)} (${result.score})`, i));
+      displayText(`   ${formatUrl(result.url)}\n`);
+      displayText(`${result.text}\n`);
+    });
+
+    return finish(EXIT_CODES.SUCCESS, { source: index.source, mode, results });
+  } catch (error) {
+    displayError(`Search failed: ${error.message}`);
+    logError('Error searching the documentation index', error);
+    return finish(EXIT_CODES.FAILURE, { error: `Search failed: ${error.message}` });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,163 @@
+import { URL } from 'url';
+
+/**
+ * Locale setting that turns language filtering off
+ */
+export const ALL_LOCALES = 'all';
+
+/**
+ * Locale kept when neither --lang, the start URL nor the start page names one
+ */
+export const DEFAULT_LOCALE = 'en';
+
+// Language codes documentation sites publish translations under. Path segments
+// are only taken for locales when they use one of these, since many two-letter
+// segments (js, ui, db, ...) aren't languages.
+const LANGUAGES = new Set([
+  'ar', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'eu', 'fa', 'fi', 'fr', 'gl',
+  'he', 'hi', 'hr', 'hu', 'id', 'it', 'ja', 'ko', 'lt', 'lv', 'ms', 'nb', 'nl', 'pl', 'pt', 'ro',
+  'ru', 'sk', 'sl', 'sr', 'sv', 'ta', 'te', 'th', 'tr', 'uk', 'ur', 'vi', 'zh'
+]);
+
+// A language code with an optional region or script: ja, zh-cn, pt_BR, zh-Hans
+const LOCALE_PATTERN = /^([a-z]{2})(?:[-_]([a-z]{2}|[a-z]{4}|\d{3}))?$/i;
+
+// Only the first path segments can hold the locale, deeper ones are page names
+const LOCALE_SEARCH_DEPTH = 3;
+
+/**
+ * Normalize a locale for comparison: lowercase, with hyphens
+ * @param {string} locale - Locale such as en_US or zh-Hans
+ * @returns {string} - Normalized locale
+ */
+export function normalizeLocale(locale) {
+  return locale.trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Check a locale setting from the command line or config file
+ * @param {string} lang - Locale such as en, pt-br or zh-cn, or 'all'
+ * @throws {Error} - If the setting is invalid
+ */
+export function checkLocale(lang) {
+  if (typeof lang !== 'string' || (lang !== ALL_LOCALES && !/^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i.test(lang))) {
+    throw new Error(`Invalid language ${JSON.stringify(lang)}: use a language code such as en, fr or zh-cn, or "${ALL_LOCALES}" to keep every language`);
+  }
+}
+
+/**
+ * Split a URL's path into the directory segments that can hold a locale.
+ * The last segment of a page URL is the page's name (/docs/id is a page
+ * about ids), so only directories count.
+ * @param {string} url - Absolute URL
+ * @returns {string[]} - Directory segments, at most LOCALE_SEARCH_DEPTH
+ */
+function directorySegments(url) {
+  const { pathname } = new URL(url);
+  const segments = pathname.split('/').filter(Boolean);
+  if (!pathname.endsWith('/')) segments.pop();
+  return segments.slice(0, LOCALE_SEARCH_DEPTH);
+}
+
+/**
+ * Check whether a path segment is a locale
+ * @param {string} segment - Path segment
+ * @returns {boolean} - Whether it names a known language
+ */
+function isLocaleSegment(segment) {
+  const match = segment.match(LOCALE_PATTERN);
+  return Boolean(match) && LANGUAGES.has(match[1].toLowerCase());
+}
+
+/**
+ * Find where in a URL's path its locale segment is
+ * @param {string} url - Absolute URL
+ * @param {string} [locale] - Only find a segment naming this locale, such as a hreflang alternate's
+ * @returns {number} - Index of the segment, or -1 if the path names no locale
+ */
+export function localeSegmentIndex(url, locale = null) {
+  return directorySegments(url).findIndex(segment => (
+    isLocaleSegment(segment) && (!locale || matchesLocale(normalizeLocale(segment), normalizeLocale(locale)))
+  ));
+}
+
+/**
+ * Find the locale a URL's path puts a page in, such as /ja/docs/ or /docs/zh-cn/
+ * @param {string} url - Absolute URL
+ * @param {Set<number>|null} [positions] - Segment indexes known to hold the locale, from localeSegmentIndex; any directory segment when not given
+ * @returns {string|null} - Normalized locale, or null if the path names none
+ */
+export function localeFromUrl(url, positions = null) {
+  const segment = directorySegments(url).find((candidate, index) => (
+    (!positions || positions.has(index)) && isLocaleSegment(candidate)
+  ));
+  return segment ? normalizeLocale(segment) : null;
+}
+
+/**
+ * Pick the locale to keep: the one asked for, else the one in the start URL,
+ * else the language the start page declares, else English
+ * @param {string} [lang] - Locale from --lang or the config file
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {string|null} [startLocale] - Normalized locale of the start page, from pageLocale
+ * @returns {string} - Normalized locale, or 'all'
+ */
+export function resolveLocale(lang, startUrl, startLocale = null) {
+  if (lang) return lang === ALL_LOCALES ? ALL_LOCALES : normalizeLocale(lang);
+  return localeFromUrl(startUrl) || startLocale || DEFAULT_LOCALE;
+}
+
+/**
+ * Check whether a page's locale is the one being kept. A bare language
+ * matches its regional variants both ways (en matches en-us), but two
+ * different regions don't (zh-cn doesn't match zh-tw).
+ * @param {string} locale - Normalized locale of the page
+ * @param {string} wanted - Normalized locale being kept, or 'all'
+ * @returns {boolean} - Whether the page is kept
+ */
+export function matchesLocale(locale, wanted) {
+  if (wanted === ALL_LOCALES || locale === wanted) return true;
+  return locale.startsWith(`${wanted}-`) || wanted.startsWith(`${locale}-`);
+}
+
+/**
+ * Read the language a page declares on its <html> element
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @returns {string|null} - Normalized locale, or null if the page declares none
+ */
+export function pageLocale($) {
+  const lang = $('html').attr('lang') || $('html').attr('xml:lang');
+  return lang && lang.trim() ? normalizeLocale(lang) : null;
+}
+
+/**
+ * Read the translations a page links to with hreflang alternates
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Array<{locale: string, url: string}>} - Translations by locale, without x-default
+ */
+export function extractAlternates($, pageUrl) {
+  const alternates = [];
+  $('link[rel~="alternate"][hreflang]').each((i, element) => {
+    const hreflang = $(element).attr('hreflang');
+    if (!hreflang || hreflang.toLowerCase() === 'x-default') return;
+    try {
+      alternates.push({ locale: normalizeLocale(hreflang), url: new URL($(element).attr('href'), pageUrl).href });
+    } catch (e) {
+      // Ignore unparseable links
+    }
+  });
+  return alternates;
+}
+
+/**
+ * Explain a crawl that found pages only in languages other than the kept one
+ * @param {{selected: string, excluded: number, locales: Object<string, number>}} language - Language report of scrapeContent
+ * @param {string} [option] - Name of the option that picks the language
+ * @returns {string|null} - Message suggesting the option, or null if nothing was left out for its language
+ */
+export function describeLeftOut(language, option = '--lang') {
+  if (!language || language.excluded === 0) return null;
+  const [most] = Object.entries(language.locales).sort((a, b) => b[1] - a[1]);
+  return `Every page found was left out for its language: none are in ${language.selected}, ${language.excluded} ${language.excluded === 1 ? 'URL is' : 'URLs are'} in other languages. Keep them with ${option} ${most[0]}, or ${option} all for every language`;
+}
@@ -28,15 +28,27 @@ const logger = winston.createLogger({
 });
 
 // If not in production, also log to the console
+let consoleTransport = null;
 if (process.env.NODE_ENV !== 'production') {
-  logger.add(new winston.transports.Console({
+  consoleTransport = new winston.transports.Console({
     format: winston.format.combine(
       winston.format.colorize(),
       winston.format.simple()
     ),
-  }));
+  });
+  logger.add(consoleTransport);
 }
 
+/**
+ * Enable or disable console logging (file logging is unaffected)
+ * @param {boolean} enabled - Whether log messages should reach the console
+ */
+const setConsoleLogging = (enabled) => {
+  if (consoleTransport) {
+    consoleTransport.silent = !enabled;
+  }
+};
+
 // Helper functions with color formatting
 const logInfo = (message) => {
   logger.info(message);
@@ -68,5 +80,6 @@ export {
   logSuccess, 
   logWarning, 
   logError, 
-  logDebug 
+  logDebug,
+  setConsoleLogging
 };
\ No newline at end of file
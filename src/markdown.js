@@ -0,0 +1,316 @@
+import { URL } from 'url';
+import { FENCE_PATTERN, HEADING_PATTERN } from './chunker.js';
+import { normalizePageUrl } from './navigation.js';
+import { isAssetUrl } from './extract.js';
+
+// Deepest heading level a page title is placed at, leaving room for the page's own sections
+const MAX_PAGE_LEVEL = 4;
+
+// Markdown link or image: [text](url "title")
+const LINK_PATTERN = /(!?)\[((?:\\.|[^\]\\])*)\]\((\S+?)(\s+"[^"]*")?\)/g;
+
+/**
+ * Turn the markdown of a heading into its plain text, as a renderer displays it
+ * @param {string} text - Heading markdown
+ * @returns {string} - Plain text
+ */
+function plainText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // Links and images keep their text
+    .replace(/<[^>]+>/g, '')
+    .replace(/[*`~]/g, '')
+    .trim();
+}
+
+/**
+ * Reduce heading text or a #fragment to its letters and digits, so a heading
+ * can be found from the different ids sites generate for it
+ * @param {string} text - Heading markdown or fragment
+ * @returns {string} - Comparison key
+ */
+function matchKey(text) {
+  return plainText(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Make the anchor GitHub generates for a heading: lowercase, with punctuation
+ * removed and spaces turned into hyphens
+ * @param {string} text - Heading markdown
+ * @returns {string} - Anchor, without the leading #
+ */
+export function slugify(text) {
+  return plainText(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Create a slugger that makes anchors unique within one document the way
+ * GitHub does, by numbering repeated headings (-1, -2, ...)
+ * @returns {function(string): string} - Returns the anchor of each heading, in document order
+ */
+export function createSlugger() {
+  const occurrences = new Map();
+
+  return text => {
+    const base = slugify(text);
+    let slug = base;
+    while (occurrences.has(slug)) {
+      occurrences.set(base, occurrences.get(base) + 1);
+      slug = `${base}-${occurrences.get(base)}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+}
+
+/**
+ * Call a function for every line outside code fences, replacing the line with the result
+ * @param {string} markdown - Markdown to walk
+ * @param {function(string): string} replace - Returns the new line
+ * @returns {string} - Markdown with the lines replaced
+ */
+function mapLines(markdown, replace) {
+  let fence = null;
+
+  return markdown.split('\n').map(line => {
+    if (fence) {
+      const closing = line.trim();
+      if (closing.length >= fence.length && closing === fence[0].repeat(closing.length)) {
+        fence = null;
+      }
+      return line;
+    }
+
+    const opening = line.match(FENCE_PATTERN);
+    if (opening) {
+      fence = opening[1];
+      return line;
+    }
+
+    return replace(line);
+  }).join('\n');
+}
+
+/**
+ * Call a function for every heading outside code fences, replacing its line with the result
+ * @param {string} markdown - Markdown to walk
+ * @param {function({level: number, title: string}): string} replace - Returns the new heading line
+ * @returns {string} - Markdown with the headings replaced
+ */
+function mapHeadings(markdown, replace) {
+  return mapLines(markdown, line => {
+    const heading = line.match(HEADING_PATTERN);
+    return heading ? replace({ level: heading[1].length, title: heading[2] }) : line;
+  });
+}
+
+/**
+ * Call a function for every link and image outside code, replacing it with the result
+ * @param {string} markdown - Markdown to walk
+ * @param {function(string, string, string, string): string} replace - Gets the whole link, '!' for images, the text and the URL; returns the replacement
+ * @returns {string} - Markdown with the links replaced
+ */
+function mapLinks(markdown, replace) {
+  return mapLines(markdown, line => line
+    // Odd pieces are inline code spans, which are left alone
+    .split(/(`+[^`]*?`+)/)
+    .map((piece, i) => (i % 2 === 1 ? piece : piece.replace(LINK_PATTERN, (link, bang, text, url, title = '') => replace(link, bang, text, url, title))))
+    .join(''));
+}
+
+/**
+ * Render a heading line, keeping the level within what markdown supports
+ * @param {number} level - Heading level
+ * @param {string} title - Heading markdown
+ * @returns {string} - Heading line
+ */
+function heading(level, title) {
+  return `${'#'.repeat(Math.min(Math.max(level, 1), 6))} ${title}`;
+}
+
+/**
+ * Render a page as a section of a document: its title becomes a heading at the
+ * given level and its own headings are shifted to sit below it
+ * @param {Object} page - Page with title and content
+ * @param {number} level - Heading level of the page title
+ * @param {function(string): string} slug - Slugger of the document
+ * @returns {{content: string, anchor: string, headings: Map<string, string>}} - Section markdown, the anchor of its title and the anchor of each heading by matchKey
+ */
+function renderPage(page, level, slug) {
+  // Pages start with their title heading, unless AI cleaning dropped it
+  const lines = page.content.split('\n');
+  const first = lines.findIndex(line => line.trim() !== '');
+  const titleMatch = first >= 0 ? lines[first].match(HEADING_PATTERN) : null;
+  const title = titleMatch ? titleMatch[2] : page.title;
+  const body = titleMatch ? lines.slice(first + 1).join('\n') : page.content;
+
+  let topLevel = Infinity;
+  mapHeadings(body, ({ level: bodyLevel }) => {
+    topLevel = Math.min(topLevel, bodyLevel);
+    return '';
+  });
+  const offset = topLevel === Infinity ? 0 : level + 1 - topLevel;
+
+  const anchor = slug(title);
+  const headings = new Map([[matchKey(title), anchor]]);
+  const shifted = mapHeadings(body, ({ level: bodyLevel, title: bodyTitle }) => {
+    const bodyAnchor = slug(bodyTitle);
+    if (!headings.has(matchKey(bodyTitle))) headings.set(matchKey(bodyTitle), bodyAnchor);
+    return heading(bodyLevel + offset, bodyTitle);
+  });
+
+  return { content: `${heading(level, title)}\n\n${shifted.replace(/^\n+/, '').trimEnd()}`, anchor, headings };
+}
+
+/**
+ * Rewrite the links of a page section for reading inside the document. Links to
+ * pages in the document become links to their anchors, with #fragments resolved
+ * to the anchor of the heading they point at. Other links are made absolute;
+ * those to pages of the site that aren't in the document are marked, so readers
+ * know the content is missing rather than looking for it.
+ * @param {string} markdown - Section markdown
+ * @param {string} pageUrl - URL of the page, to resolve relative links against
+ * @param {Object} context - Link targets of the document
+ * @param {Map<string, Object>} context.targets - Anchor, heading anchors and heading ids of each page in the document, by page key
+ * @param {Map<string, number>} context.partOf - Part number of each page in other parts, by page key
+ * @param {Set<string>} context.origins - Origins of the documentation
+ * @param {function(string): string} context.key - Key pages are told apart by
+ * @param {{internal: number, flagged: Set<string>}} stats - Counts updated with the links rewritten and flagged
+ * @returns {string} - Section with its links rewritten
+ */
+function rewriteLinks(markdown, pageUrl, { targets, partOf, origins, key: pageKey }, stats) {
+  return mapLinks(markdown, (link, bang, text, href, title) => {
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch (e) {
+      return link;
+    }
+    if (!/^https?:$/.test(url.protocol)) return link;
+    if (bang) return `![${text}](${url.href}${title})`;
+
+    const key = pageKey(url.href);
+    const target = targets.get(key);
+    if (target) {
+      let anchor = target.anchor;
+      if (url.hash.length > 1) {
+        let fragment = url.hash.slice(1);
+        try {
+          fragment = decodeURIComponent(fragment);
+        } catch (e) {
+          // Keep the fragment as written
+        }
+        // Ids the page gave its headings, then headings whose text matches the fragment
+        anchor = target.headings.get(matchKey(target.headingIds[fragment] || fragment)) || anchor;
+      }
+      stats.internal++;
+      return `[${text}](#${anchor})`;
+    }
+
+    if (partOf.has(key)) {
+      return `[${text}](${url.href}${title}) (in part ${partOf.get(key)})`;
+    }
+    if (origins.has(url.origin) && !isAssetUrl(url.href)) {
+      stats.flagged.add(key);
+      return `[${text}](${url.href}${title}) (not included)`;
+    }
+    return `[${text}](${url.href}${title})`;
+  });
+}
+
+/**
+ * Render pages as one markdown document with a nested table of contents.
+ * Pages nest as they do in the site's navigation: each page title is a heading
+ * one level below its parent's, navigation categories without a page of their
+ * own get a heading too, and every page's headings are demoted below its title.
+ * Anchors are unique and match the ones GitHub generates. Links between pages
+ * in the document point at their anchors, and links to pages of the site left
+ * out of it are marked "(not included)".
+ * @param {string} startUrl - URL the documentation was scraped from
+ * @param {Array<Object>} pages - Pages to include, in order, with `nav` from orderPages
+ * @param {Object} [options] - Rendering options
+ * @param {Array<Object>} [options.omitted] - Pages left out to fit a token budget, listed in an appendix
+ * @param {number} [options.maxTokens] - Token budget the pages were fitted to
+ * @param {number} [options.part] - 1-based number of this part, when the output is split
+ * @param {number} [options.parts] - Number of parts the output is split into
+ * @param {Map<string, number>} [options.partOf] - Part number of the pages in other parts, by page key, so links to them name their part
+ * @param {function(string): string} [options.key] - Key pages are told apart by, so links match pages whatever form of their URL they use (default: normalizePageUrl)
+ * @param {string|null} [options.version] - Documentation version the pages are from, recorded in the header
+ * @param {Array<{name: string, url: string, version: string|null}>} [options.sources] - Sources of a multi-source bundle, listed in the header instead of startUrl; links to any of their sites count as links to the docs
+ * @returns {{content: string, anchors: Object<string, string>, links: {internal: number, flagged: string[]}}} - Document markdown, the anchor of every page by URL, and how many links were pointed at anchors and which pages linked to are not included
+ */
+export function renderDocument(startUrl, pages, options = {}) {
+  const { omitted = [], maxTokens, part, parts, partOf = new Map(), version = null, sources = null, key = normalizePageUrl } = options;
+  const slug = createSlugger();
+  const title = `Documentation${parts ? ` (part ${part} of ${parts})` : ''}`;
+  slug(title);
+  slug('Table of Contents');
+
+  const toc = [];
+  const sections = [];
+  const anchors = {};
+  // Link targets of the pages in this document, by page key
+  const targets = new Map();
+  // Navigation entries above the current position, by level
+  const trail = [];
+  let previousDepth = -1;
+
+  const addEntry = (level, text, anchor) => {
+    // A list can only nest one level deeper than the item before it
+    const depth = Math.min(level, previousDepth + 1);
+    toc.push(`${'  '.repeat(depth)}- [${plainText(text)}](#${anchor})`);
+    previousDepth = depth;
+  };
+
+  for (const page of pages) {
+    const { level = 0, parents = [] } = page.nav || {};
+
+    // Open the navigation categories this page sits in that have no page of their own
+    parents.forEach((parent, depth) => {
+      if (trail[depth] === parent) return;
+      trail.length = depth;
+      trail[depth] = parent;
+      const anchor = slug(parent);
+      sections.push({ content: heading(Math.min(2 + depth, MAX_PAGE_LEVEL), parent) });
+      addEntry(depth, parent, anchor);
+    });
+    trail.length = level;
+    trail[level] = page.nav && page.nav.title ? page.nav.title : page.title;
+
+    const section = renderPage(page, Math.min(2 + level, MAX_PAGE_LEVEL), slug);
+    sections.push({ page, content: section.content });
+    anchors[page.url] = section.anchor;
+    addEntry(level, page.title, section.anchor);
+
+    const pageKey = key(page.url);
+    if (!targets.has(pageKey)) {
+      targets.set(pageKey, { anchor: section.anchor, headings: section.headings, headingIds: page.headingIds || {} });
+    }
+  }
+
+  // Links are rewritten once every page's anchors are known
+  const origins = new Set((sources || [{ url: startUrl }]).map(source => new URL(source.url).origin));
+  const context = { targets, partOf, origins, key };
+  const links = { internal: 0, flagged: new Set() };
+  const rendered = sections.map(section => (section.page ? rewriteLinks(section.content, section.page.url, context, links) : section.content));
+
+  const origin = sources
+    ? `Automatically aggregated documentation from ${sources.length} sources:\n\n${sources.map(source => `- ${source.name}: ${source.url}${source.version ? ` (version ${source.version})` : ''}`).join('\n')}`
+    : `Automatically aggregated documentation from ${startUrl}${version ? `\n\nVersion: ${version}` : ''}`;
+
+  const blocks = [
+    `# ${title}\n\n${origin}`,
+    `## Table of Contents\n\n${toc.join('\n')}`,
+    ...rendered
+  ];
+
+  // Point readers at what was left out rather than dropping it silently
+  if (omitted.length > 0) {
+    const list = omitted.map(page => `- [${page.title}](${page.url})`).join('\n');
+    blocks.push(`## Omitted Pages\n\nThese pages were left out to fit the ${maxTokens}-token budget:\n\n${list}`);
+  }
+
+  return { content: blocks.join('\n\n---\n\n'), anchors, links: { internal: links.internal, flagged: Array.from(links.flagged) } };
+}
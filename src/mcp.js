@@ -0,0 +1,195 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { z } from 'zod';
+import { scrapeContent, openCrawl } from './scraper.js';
+import { searchForDocumentation, pickBestResult } from './search.js';
+import { createEmbedder } from './providers.js';
+import { buildIndex, loadIndex, listIndexes, searchIndex } from './docindex.js';
+import { mergeOptions, dataPath } from './config.js';
+import { createExtractors } from './frameworks.js';
+import { discoverVersions, findVersion } from './versions.js';
+import { checkLocale, describeLeftOut } from './locales.js';
+import { checkPatterns, checkPrefix } from './scope.js';
+import { logInfo, logError, setConsoleLogging } from './logger.js';
+import { setSilent } from './ui.js';
+
+/**
+ * Wrap text as a tool result
+ * @param {string} text - Result text
+ * @param {boolean} [isError] - Whether the tool call failed
+ * @returns {Object} - MCP tool result
+ */
+function textResult(text, isError = false) {
+  return { content: [{ type: 'text', text }], isError };
+}
+
+/**
+ * Create the embedder for querying an index, or null if it has no embeddings
+ * @param {Object} index - Index from loadIndex
+ * @param {Object} [settings] - Embedding settings from the config file
+ * @returns {Object|null} - Embedder from createEmbedder
+ */
+function queryEmbedder(index, settings) {
+  if (!index.embedding) return null;
+  try {
+    return createEmbedder({ ...index.embedding, ...settings, provider: index.embedding.provider, model: index.embedding.model });
+  } catch (error) {
+    logInfo(`Using keyword search for ${index.project}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create an MCP server exposing the scraped documentation
+ * @param {Object} [defaults] - Options from the config file, used for searches and new scrapes
+ * @returns {McpServer} - Server with the docs2context tools registered
+ */
+export function createMcpServer(defaults = {}) {
+  const server = new McpServer({ name: 'docs2context', version: '0.1.0' });
+  // Clients start the server from a directory of their choosing, so the index
+  // is found through the config file or --data-dir rather than that directory
+  const indexDir = dataPath('index', defaults.dataDir);
+
+  server.registerTool('list_projects', {
+    title: 'List projects',
+    description: 'List the documentation projects that have been scraped and can be searched'
+  }, async () => {
+    const projects = await listIndexes(indexDir);
+    if (projects.length === 0) {
+      return textResult('No projects have been scraped yet. Use fetch_docs to scrape one.');
+    }
+    return textResult(projects
+      .map(project => `- ${project.project}: ${project.pages} pages, ${project.chunks} chunks from ${project.source} (scraped ${project.createdAt}${project.embedded ? ', with embeddings' : ''})`)
+      .join('\n'));
+  });
+
+  server.registerTool('search_docs', {
+    title: 'Search documentation',
+    description: 'Search the scraped documentation of a project and return the most relevant sections with their source URLs',
+    inputSchema: {
+      project: z.string().describe('Project name, as listed by list_projects'),
+      query: z.string().describe('What to look for'),
+      limit: z.number().int().min(1).max(50).optional().describe('Maximum number of sections to return (default: 5)')
+    }
+  }, async ({ project, query, limit }) => {
+    const index = await loadIndex(project, indexDir);
+    if (!index) {
+      return textResult(`No documentation has been scraped for "${project}". Use fetch_docs to scrape it.`, true);
+    }
+
+    const { results } = await searchIndex(index, query, { limit, embedder: queryEmbedder(index, defaults.embeddings) });
+    if (results.length === 0) {
+      return textResult(`No sections of ${project} match "${query}".`);
+    }
+    return textResult(results
+      .map((result, i) => {
+        const location = [result.title, ...result.headings.filter(heading => heading !== result.title)].join(' > ');
+        return `## ${i + 1}. ${location}\n\nSource: ${result.url}\n\n${result.text}`;
+      })
+      .join('\n\n---\n\n'));
+  });
+
+  server.registerTool('get_page', {
+    title: 'Get page',
+    description: 'Get the full markdown of a scraped documentation page, e.g. to read around a search result',
+    inputSchema: {
+      project: z.string().describe('Project name, as listed by list_projects'),
+      url: z.string().describe('URL of the page, as returned by search_docs')
+    }
+  }, async ({ project, url }) => {
+    const index = await loadIndex(project, indexDir);
+    if (!index) {
+      return textResult(`No documentation has been scraped for "${project}". Use fetch_docs to scrape it.`, true);
+    }
+
+    const page = index.pages.find(candidate => candidate.url === url);
+    if (!page) {
+      return textResult(`${url} is not one of the ${index.pages.length} scraped pages of ${project}.`, true);
+    }
+    return textResult(page.content);
+  });
+
+  server.registerTool('fetch_docs', {
+    title: 'Fetch documentation',
+    description: 'Scrape the documentation of a project (from a URL, or the best web search result) and index it for search_docs and get_page. This can take a few minutes.',
+    inputSchema: {
+      project: z.string().describe('Project name to store the documentation under'),
+      url: z.string().url().optional().describe('Documentation URL to start from (default: search the web for it)'),
+      maxPages: z.number().int().min(1).optional().describe('Maximum number of pages to scrape'),
+      disableAI: z.boolean().optional().describe('Skip AI cleaning, which is faster'),
+      version: z.string().optional().describe('Documentation version to scrape, such as 2.x or latest (default: the URL\'s version)'),
+      lang: z.string().optional().describe('Language of the pages to keep, such as en or ja, or "all" (default: the URL\'s language, else the start page\'s, else en)')
+    }
+  }, async ({ project, url, maxPages, disableAI, version: requested, lang }) => {
+    try {
+      let documentationUrl = url;
+      if (!documentationUrl) {
+        const best = pickBestResult(await searchForDocumentation(project), project);
+        if (!best) {
+          return textResult(`No documentation found for "${project}". Pass its URL.`, true);
+        }
+        documentationUrl = best.url;
+      }
+
+      const options = mergeOptions(defaults, { maxPages, disableAI, docVersion: requested, lang });
+      if (options.lang !== undefined) checkLocale(options.lang);
+      checkPatterns(options.include, 'include');
+      checkPatterns(options.exclude, 'exclude');
+      if (options.prefix !== undefined && options.confine !== false) checkPrefix(options.prefix, documentationUrl);
+
+      // Only one version of versioned docs is scraped
+      const crawl = await openCrawl(documentationUrl, options);
+      const { current, versions } = await discoverVersions(
+        documentationUrl,
+        crawl,
+        createExtractors(options.extractors)
+      );
+      const version = options.docVersion ? findVersion(versions, options.docVersion) : current;
+      if (options.docVersion && !version) {
+        const available = versions.length > 0 ? `Available versions: ${versions.map(({ label }) => label).join(', ')}.` : 'The docs don\'t appear to be versioned.';
+        return textResult(`Version "${options.docVersion}" was not found at ${documentationUrl}. ${available}`, true);
+      }
+      if (version && version !== current) {
+        documentationUrl = version.url;
+      }
+
+      const { scrapedPages, tokens, warnings, language } = await scrapeContent(documentationUrl, { ...options, version, crawl });
+      if (scrapedPages.length === 0) {
+        const leftOut = describeLeftOut(language, 'lang');
+        return textResult(`No documentation pages could be scraped from ${documentationUrl}.${leftOut ? ` ${leftOut}.` : ''}`, true);
+      }
+
+      const embedder = options.embeddings ? createEmbedder(options.embeddings) : null;
+      const index = await buildIndex(project, documentationUrl, scrapedPages, {
+        embedder,
+        embedding: options.embeddings && { baseUrl: options.embeddings.baseUrl },
+        dir: indexDir
+      });
+
+      const notes = warnings.length > 0 ? `\n\nWarnings:\n${warnings.map(warning => `- ${warning}`).join('\n')}` : '';
+      const versionNote = version ? ` (version ${version.label})` : '';
+      const languageNote = language.excluded > 0 ? ` Kept pages in ${language.selected} and left out ${language.excluded} URLs in other languages.` : '';
+      return textResult(`Scraped ${scrapedPages.length} pages (${tokens} tokens) from ${documentationUrl}${versionNote} and indexed ${index.chunks} sections for ${project}.${languageNote}${notes}`);
+    } catch (error) {
+      logError(`fetch_docs failed for ${project}`, error);
+      return textResult(`Scraping ${project} failed: ${error.message}`, true);
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Run the MCP server over stdio until the client disconnects
+ * @param {Object} [defaults] - Options from the config file, used for searches and new scrapes
+ * @returns {Promise<void>}
+ */
+export async function startMcpServer(defaults = {}) {
+  // stdout carries the protocol, so nothing else may be written to it
+  setSilent(true);
+  setConsoleLogging(false);
+
+  const server = createMcpServer(defaults);
+  await server.connect(new StdioServerTransport());
+  logInfo('MCP server listening on stdio');
+}
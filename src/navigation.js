@@ -0,0 +1,324 @@
+import { URL } from 'url';
+import { isIntroPage } from './budget.js';
+import { FRAMEWORKS } from './frameworks.js';
+
+// Sidebar containers of the built-in framework extractors
+const FRAMEWORK_NAV_SELECTORS = FRAMEWORKS.filter(framework => framework.nav).map(framework => framework.nav);
+
+// Generic sidebar containers, tried when no framework markup is found
+const GENERIC_NAV_SELECTORS = [
+  'nav[aria-label*="doc" i]',
+  'nav[aria-label*="side" i]',
+  'aside nav',
+  '#sidebar',
+  '.sidebar',
+  '.docs-sidebar',
+  '.side-nav',
+  '.toc',
+  'nav'
+];
+
+// A navigation with fewer links is more likely a header or breadcrumb than a sidebar
+const MIN_NAV_LINKS = 3;
+
+/**
+ * Normalize a URL for comparing pages: drop the fragment and a trailing index.html
+ * @param {string} url - URL to normalize
+ * @returns {string} - Normalized URL
+ */
+export function normalizePageUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.pathname = parsed.pathname.replace(/\/index\.html?$/i, '/');
+  return parsed.href;
+}
+
+/**
+ * Parse a list element into navigation nodes
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} list - ul or ol element
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Array<{title: string, url: string|null, children: Array<Object>}>} - Nodes in order
+ */
+function parseList($, list, pageUrl) {
+  const nodes = [];
+
+  list.children('li').each((i, element) => {
+    const item = $(element);
+    // The item's own link and sublists, not those of nested items
+    const link = item.find('a[href]').filter((j, a) => $(a).closest('li').is(item)).first();
+    const sublists = item.find('ul, ol').filter((j, sublist) => $(sublist).parent().closest('li').is(item));
+
+    let url = null;
+    if (link.length > 0) {
+      try {
+        url = normalizePageUrl(new URL(link.attr('href'), pageUrl).href);
+      } catch (e) {
+        url = null;
+      }
+    }
+
+    const title = (link.length > 0 ? link.text() : item.clone().find('ul, ol').remove().end().text())
+      .replace(/\s+/g, ' ')
+      .trim();
+    const children = [];
+    sublists.each((j, sublist) => children.push(...parseList($, $(sublist), pageUrl)));
+
+    if (url || children.length > 0) {
+      nodes.push({ title, url, children });
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * Parse a navigation container into a tree, from nested lists when it has them
+ * and from its links in document order otherwise
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {import('cheerio').Cheerio} container - Navigation element
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Array<Object>} - Navigation nodes
+ */
+function parseNav($, container, pageUrl) {
+  // Some frameworks put the class on the list itself
+  if (container.is('ul, ol')) {
+    return parseList($, container, pageUrl);
+  }
+
+  // Top-level lists are those not nested in a list item inside the container
+  const lists = container.find('ul, ol').filter((i, list) => {
+    const item = $(list).parent().closest('li');
+    return item.length === 0 || !$.contains(container[0], item[0]);
+  });
+  if (lists.length > 0) {
+    const nodes = [];
+    lists.each((i, list) => nodes.push(...parseList($, $(list), pageUrl)));
+    return nodes;
+  }
+
+  const nodes = [];
+  container.find('a[href]').each((i, element) => {
+    try {
+      const url = normalizePageUrl(new URL($(element).attr('href'), pageUrl).href);
+      nodes.push({ title: $(element).text().replace(/\s+/g, ' ').trim(), url, children: [] });
+    } catch (e) {
+      // Ignore unparseable links
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Count the same-host links in a navigation tree
+ * @param {Array<Object>} nodes - Navigation nodes
+ * @param {string} host - Host of the documentation
+ * @returns {number} - Number of links
+ */
+function countLinks(nodes, host) {
+  return nodes.reduce((sum, node) => {
+    const own = node.url && new URL(node.url).host === host ? 1 : 0;
+    return sum + own + countLinks(node.children, host);
+  }, 0);
+}
+
+/**
+ * Extract the documentation's navigation tree (usually the sidebar) from a page.
+ * The sidebar of the page's framework is preferred, then those of other known
+ * frameworks; otherwise the generic navigation element with the most links to
+ * the docs' host is used.
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL of the page
+ * @param {Object|null} [extractor] - Extractor of the page's framework, from detectFramework
+ * @returns {Array<{title: string, url: string|null, children: Array<Object>}>|null} - Navigation tree, or null if the page has none
+ */
+export function extractNavTree($, pageUrl, extractor = null) {
+  const host = new URL(pageUrl).host;
+  const frameworkSelectors = extractor && extractor.nav
+    ? [extractor.nav, ...FRAMEWORK_NAV_SELECTORS]
+    : FRAMEWORK_NAV_SELECTORS;
+
+  for (const selectors of [frameworkSelectors, GENERIC_NAV_SELECTORS]) {
+    let best = null;
+    let bestLinks = 0;
+    for (const selector of selectors) {
+      $(selector).each((i, element) => {
+        const nodes = parseNav($, $(element), pageUrl);
+        const links = countLinks(nodes, host);
+        if (links > bestLinks) {
+          best = nodes;
+          bestLinks = links;
+        }
+      });
+      // The first matching framework selector is the sidebar
+      if (best && selectors === frameworkSelectors && bestLinks >= MIN_NAV_LINKS) break;
+    }
+    if (best && bestLinks >= MIN_NAV_LINKS) {
+      return best;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the page a page says comes next (rel="next")
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL of the page
+ * @returns {string|null} - Normalized URL of the next page, or null
+ */
+export function extractNextLink($, pageUrl) {
+  const href = $('link[rel~="next"], a[rel~="next"]').first().attr('href');
+  if (!href) return null;
+  try {
+    return normalizePageUrl(new URL(href, pageUrl).href);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Compare two URLs by their place in the path hierarchy: a directory's index
+ * page comes before its contents, and siblings are ordered with introductory
+ * pages first and then alphabetically, with numbers in natural order
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {number} - Sort order
+ */
+function compareByPath(a, b) {
+  const segments = url => {
+    const parts = new URL(url).pathname.split('/').slice(1);
+    return parts.map(part => part.replace(/\.(html?|php|aspx?)$/i, ''));
+  };
+  const aSegments = segments(a);
+  const bSegments = segments(b);
+
+  for (let i = 0; i < Math.max(aSegments.length, bSegments.length); i++) {
+    const aSegment = aSegments[i] ?? '';
+    const bSegment = bSegments[i] ?? '';
+    if (aSegment === bSegment) continue;
+    // The directory's own page ('' for a trailing slash) comes first
+    if (aSegment === '') return -1;
+    if (bSegment === '') return 1;
+    const aIntro = isIntroPage({ url: aSegment });
+    const bIntro = isIntroPage({ url: bSegment });
+    if (aIntro !== bIntro) return aIntro ? -1 : 1;
+    return aSegment.localeCompare(bSegment, undefined, { numeric: true });
+  }
+  return 0;
+}
+
+/**
+ * Depth of a page in the URL path hierarchy. A directory's index page sits at
+ * the depth of the directory and its other pages one below.
+ * @param {string} url - Page URL
+ * @returns {number} - Number of path segments
+ */
+function pathDepth(url) {
+  return new URL(normalizePageUrl(url)).pathname.split('/').filter(Boolean).length;
+}
+
+/**
+ * Put pages in the order of the site's navigation and record where they sit in it.
+ * Pages are ordered by the navigation tree when there is one. Pages missing
+ * from it are ordered by URL path hierarchy, following rel="next" chains where
+ * pages declare them, and placed after the navigation entry whose directory
+ * they live in. The start page comes first when the navigation leaves it out.
+ * @param {Array<Object>} pages - Scraped pages, optionally with the normalized URL of the `next` page
+ * @param {Object} [options] - Ordering options
+ * @param {Array<Object>|null} [options.navTree] - Navigation tree from extractNavTree
+ * @param {string} [options.startUrl] - URL the documentation was scraped from
+ * @param {function(string): string} [options.key] - Key pages are told apart by, so navigation links match pages whatever form of their URL they use (default: normalizePageUrl)
+ * @returns {Array<Object>} - The same pages in reading order, each with `nav: {level, parents, title}` (nesting depth, the titles of the navigation entries above it and its own navigation title if it has one)
+ */
+export function orderPages(pages, options = {}) {
+  const { navTree = null, startUrl, key = normalizePageUrl } = options;
+  const byUrl = new Map();
+  pages.forEach(page => {
+    const pageKey = key(page.url);
+    if (!byUrl.has(pageKey)) byUrl.set(pageKey, page);
+  });
+  const placed = new Set();
+
+  // Pages in the navigation, depth-first so children follow their parent
+  const inNav = [];
+  const walk = (nodes, level, parents) => {
+    for (const node of nodes) {
+      const page = node.url ? byUrl.get(key(node.url)) : null;
+      if (page && !placed.has(page)) {
+        placed.add(page);
+        page.nav = { level, parents, title: node.title };
+        inNav.push(page);
+      }
+      walk(node.children, level + 1, [...parents, node.title]);
+    }
+  };
+  if (navTree) walk(navTree, 0, []);
+
+  // The rest by URL hierarchy, in rel="next" chains starting from pages nothing points to
+  const rest = pages.filter(page => !placed.has(page)).sort((a, b) => compareByPath(a.url, b.url));
+  const pointedTo = new Set(rest.map(page => page.next).filter(Boolean).map(key));
+  const sequence = [];
+  const follow = page => {
+    let current = page;
+    while (current && !placed.has(current)) {
+      placed.add(current);
+      sequence.push(current);
+      current = current.next ? byUrl.get(key(current.next)) : null;
+    }
+  };
+  rest.filter(page => !pointedTo.has(key(page.url))).forEach(follow);
+  // Whatever is left is part of a rel="next" cycle
+  rest.forEach(follow);
+
+  // Attach each remaining page to the deepest navigation entry whose directory contains it
+  const directories = inNav
+    .map(page => ({ page, prefix: normalizePageUrl(page.url) }))
+    .filter(({ prefix }) => prefix.endsWith('/'));
+  const start = startUrl ? key(startUrl) : null;
+  const leading = [];
+  const trailing = [];
+  const attached = new Map();
+  for (const page of sequence) {
+    const url = normalizePageUrl(page.url);
+    const isStart = key(page.url) === start;
+    const parent = isStart ? null : directories
+      .filter(({ prefix }) => url.startsWith(prefix) && url !== prefix)
+      .reduce((best, candidate) => (!best || candidate.prefix.length > best.prefix.length ? candidate : best), null);
+
+    if (parent) {
+      page.nav = {
+        level: parent.page.nav.level + pathDepth(page.url) - pathDepth(parent.page.url),
+        parents: [...parent.page.nav.parents, parent.page.nav.title]
+      };
+      if (!attached.has(parent.page)) attached.set(parent.page, []);
+      attached.get(parent.page).push(page);
+    } else {
+      (isStart ? leading : trailing).push(page);
+    }
+  }
+
+  // Pages outside any navigation entry are nested by their path depth
+  for (const group of [leading, trailing]) {
+    const minDepth = Math.min(...group.map(page => pathDepth(page.url)));
+    group.forEach(page => { page.nav = { level: pathDepth(page.url) - minDepth, parents: [] }; });
+  }
+
+  // Attached pages follow the whole navigation subtree of their entry
+  const ordered = [...leading];
+  const open = [];
+  const close = level => {
+    while (open.length > 0 && open[open.length - 1].nav.level >= level) {
+      ordered.push(...(attached.get(open.pop()) || []));
+    }
+  };
+  for (const page of inNav) {
+    close(page.nav.level);
+    ordered.push(page);
+    open.push(page);
+  }
+  close(0);
+  ordered.push(...trailing);
+
+  return ordered;
+}
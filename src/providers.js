@@ -0,0 +1,164 @@
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Settings for each supported LLM provider
+ */
+const PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small', apiKeyEnv: 'OPENAI_API_KEY' },
+  // Anthropic has no embeddings API
+  anthropic: { model: 'claude-3-5-haiku-latest', embeddingModel: null, noEmbeddings: true, apiKeyEnv: 'ANTHROPIC_API_KEY' },
+  // Any server speaking the OpenAI chat completions API (vLLM, LM Studio, OpenRouter, ...)
+  'openai-compatible': { model: null, embeddingModel: null, apiKeyEnv: 'OPENAI_API_KEY', requiresBaseUrl: true },
+  // Local servers; both expose an OpenAI-compatible endpoint and need no API key
+  ollama: { model: 'llama3.1', embeddingModel: 'nomic-embed-text', baseUrl: 'http://localhost:11434/v1', local: true },
+  llamacpp: { model: 'default', embeddingModel: 'default', baseUrl: 'http://localhost:8080/v1', local: true }
+};
+
+/**
+ * Names of the supported providers
+ */
+export const PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+/**
+ * Create a chat completion client for the configured provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.provider] - One of PROVIDERS (default: 'openai')
+ * @param {string} [options.model] - Model name (default depends on the provider)
+ * @param {number} [options.temperature] - Sampling temperature (default: 0, so cleaning stays faithful to the page)
+ * @param {number} [options.maxTokens] - Maximum tokens per response (default: 4000)
+ * @param {string} [options.baseUrl] - API base URL, for compatible and local servers
+ * @param {string} [options.apiKey] - API key (default: read from the provider's environment variable)
+ * @returns {{name: string, model: string, maxTokens: number, id: string, complete: Function}} - Provider
+ * @throws {Error} - If the provider is unknown or misconfigured
+ */
+export function createProvider(options = {}) {
+  const {
+    provider = 'openai',
+    temperature = 0,
+    maxTokens = 4000
+  } = options;
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown AI provider "${provider}", expected one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  const model = options.model || defaults.model;
+  const baseUrl = options.baseUrl || defaults.baseUrl;
+  const apiKey = options.apiKey || (defaults.apiKeyEnv && process.env[defaults.apiKeyEnv]);
+
+  if (!model) {
+    throw new Error(`The ${provider} provider needs a model, set one with --model`);
+  }
+  if (defaults.requiresBaseUrl && !baseUrl) {
+    throw new Error(`The ${provider} provider needs an API URL, set one with --base-url`);
+  }
+  if (!defaults.local && !apiKey) {
+    throw new Error(`${defaults.apiKeyEnv} is not set. Set it, choose another --provider, or use --disable-ai`);
+  }
+
+  let complete;
+  if (provider === 'anthropic') {
+    const client = new Anthropic({ apiKey, baseURL: baseUrl });
+
+    complete = async ({ system, user }) => {
+      const message = await client.messages.create({
+        model,
+        system,
+        messages: [{ role: 'user', content: user }],
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return {
+        content: message.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        truncated: message.stop_reason === 'max_tokens'
+      };
+    };
+  } else {
+    // Local servers ignore the key, but the client refuses to start without one
+    const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl });
+
+    complete = async ({ system, user }) => {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      const choice = completion.choices[0];
+      return {
+        content: choice.message.content || '',
+        truncated: choice.finish_reason === 'length'
+      };
+    };
+  }
+
+  return {
+    name: provider,
+    model,
+    maxTokens,
+    // Identifies everything that affects the output, used to key cached cleanings
+    id: `${provider}:${model}:${temperature}:${maxTokens}`,
+    complete
+  };
+}
+
+/**
+ * Create an embeddings client for the configured provider
+ * @param {Object} [options] - Embedding options
+ * @param {string} [options.provider] - One of PROVIDERS except anthropic (default: 'openai')
+ * @param {string} [options.model] - Embedding model name (default depends on the provider)
+ * @param {string} [options.baseUrl] - API base URL, for compatible and local servers
+ * @param {string} [options.apiKey] - API key (default: read from the provider's environment variable)
+ * @returns {{name: string, model: string, id: string, embed: Function}} - Embedder whose embed(texts) resolves to one vector per text
+ * @throws {Error} - If the provider is unknown, has no embeddings API or is misconfigured
+ */
+export function createEmbedder(options = {}) {
+  const { provider = 'openai' } = options;
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown embedding provider "${provider}", expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  if (defaults.noEmbeddings) {
+    throw new Error(`The ${provider} provider has no embeddings API, choose another with --embedding-provider`);
+  }
+
+  const model = options.model || defaults.embeddingModel;
+  const baseUrl = options.baseUrl || defaults.baseUrl;
+  const apiKey = options.apiKey || (defaults.apiKeyEnv && process.env[defaults.apiKeyEnv]);
+
+  if (!model) {
+    throw new Error(`The ${provider} provider needs an embedding model, set one with --embedding-model`);
+  }
+  if (defaults.requiresBaseUrl && !baseUrl) {
+    throw new Error(`The ${provider} provider needs an API URL, set one with --base-url`);
+  }
+  if (!defaults.local && !apiKey) {
+    throw new Error(`${defaults.apiKeyEnv} is not set. Set it, or choose another --embedding-provider`);
+  }
+
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl });
+
+  return {
+    name: provider,
+    model,
+    // Vectors from different models can't be compared, so indexes record this
+    id: `${provider}:${model}`,
+    embed: async (texts) => {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
@@ -0,0 +1,180 @@
+import {
+  logInfo,
+  logWarning,
+  logDebug
+} from './logger.js';
+
+/**
+ * Parse the contents of a robots.txt file
+ * @param {string} text - robots.txt contents
+ * @returns {{groups: Array<{agents: string[], rules: Array<{allow: boolean, pattern: string}>, crawlDelay: number|null}>, sitemaps: string[]}} - Parsed groups and sitemap URLs
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  // Consecutive user-agent lines share the group that follows them
+  let collectingAgents = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    collectingAgents = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Check whether a robots.txt path pattern matches a path
+ * @param {string} pattern - Pattern with optional `*` wildcards and trailing `$`
+ * @param {string} path - URL path including the query string
+ * @returns {boolean} - Whether the pattern matches
+ */
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Build a policy for one user agent from parsed robots.txt rules
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} userAgent - Full User-Agent string of the crawler
+ * @returns {{isAllowed: Function, crawlDelay: number|null, sitemaps: string[]}} - Robots policy
+ */
+export function createRobotsPolicy(parsed, userAgent) {
+  // Groups are matched on the product token, e.g. "docs2context" in "docs2context/0.1.0 (...)"
+  const productToken = userAgent.split(/[\/\s]/)[0].toLowerCase();
+
+  let matching = parsed.groups.filter(group =>
+    group.agents.some(agent => agent !== '*' && productToken.startsWith(agent))
+  );
+  if (matching.length === 0) {
+    matching = parsed.groups.filter(group => group.agents.includes('*'));
+  }
+
+  const rules = matching.flatMap(group => group.rules);
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  /**
+   * Check whether a URL may be crawled
+   * @param {string} url - Absolute URL to check
+   * @returns {boolean} - Whether crawling the URL is allowed
+   */
+  function isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+    if (pathname === '/robots.txt') return true;
+
+    // The most specific (longest) matching rule wins, Allow wins ties
+    let winner = null;
+    for (const rule of rules) {
+      if (!patternMatches(rule.pattern, path)) continue;
+      if (
+        !winner ||
+        rule.pattern.length > winner.pattern.length ||
+        (rule.pattern.length === winner.pattern.length && rule.allow)
+      ) {
+        winner = rule;
+      }
+    }
+
+    return !winner || winner.allow;
+  }
+
+  return {
+    isAllowed,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps: parsed.sitemaps
+  };
+}
+
+/**
+ * Fetch and parse robots.txt for a site
+ * @param {string} origin - Site origin, e.g. https://example.com
+ * @param {Object} http - HTTP client from createHttpClient
+ * @returns {Promise<{isAllowed: Function, crawlDelay: number|null, sitemaps: string[], unavailableReason?: string}>} - Robots policy
+ */
+export async function fetchRobotsPolicy(origin, http) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const response = await http.get(robotsUrl, {
+      timeout: 10000,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    // A missing robots.txt means there are no restrictions
+    if (response.status >= 400 && response.status < 500) {
+      logInfo(`No robots.txt found at ${robotsUrl} (HTTP ${response.status}), crawling without restrictions`);
+      return createRobotsPolicy({ groups: [], sitemaps: [] }, http.userAgent);
+    }
+
+    // A server error means the rules are unknown, so nothing may be crawled (RFC 9309)
+    if (response.status >= 500) {
+      logWarning(`robots.txt at ${robotsUrl} returned HTTP ${response.status}, treating the site as disallowed`);
+      return unavailablePolicy(`robots.txt unavailable (HTTP ${response.status})`);
+    }
+
+    const policy = createRobotsPolicy(parseRobotsTxt(response.data), http.userAgent);
+    logDebug(`Parsed robots.txt from ${robotsUrl}`);
+    return policy;
+  } catch (error) {
+    logWarning(`Failed to fetch ${robotsUrl}: ${error.message}, treating the site as disallowed`);
+    return unavailablePolicy(`robots.txt unreachable (${error.message})`);
+  }
+}
+
+/**
+ * Build a policy that disallows everything because robots.txt could not be read
+ * @param {string} reason - Why robots.txt is unavailable
+ * @returns {Object} - Robots policy
+ */
+function unavailablePolicy(reason) {
+  return {
+    isAllowed: () => false,
+    crawlDelay: null,
+    sitemaps: [],
+    unavailableReason: reason
+  };
+}
@@ -0,0 +1,199 @@
+import { URL } from 'url';
+import { isInVersion } from './versions.js';
+
+/**
+ * Convert a scope pattern into a regular expression.
+ * `/.../flags` is taken as a regex; anything else is a glob where `**` matches
+ * across path segments, `*` within one segment and `?` a single character.
+ * @param {string} pattern - Glob or regex pattern
+ * @returns {RegExp} - Compiled pattern
+ */
+export function patternToRegExp(pattern) {
+  const regexLiteral = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexLiteral) {
+    return new RegExp(regexLiteral[1], regexLiteral[2]);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check include or exclude patterns from the command line or config file
+ * @param {string[]} [patterns] - Glob or regex patterns
+ * @param {string} name - Option the patterns come from, for error messages
+ * @throws {Error} - If the patterns aren't a list of strings, or a regex is invalid
+ */
+export function checkPatterns(patterns = [], name) {
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`${name} must be a list of glob or /regex/ patterns`);
+  }
+  for (const pattern of patterns) {
+    try {
+      patternToRegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${name} pattern ${pattern}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Work out the path prefix a crawl starting at a URL is confined to
+ * @param {string} startUrl - URL the crawl starts from
+ * @returns {string} - Path prefix ending in '/'
+ */
+export function defaultPathPrefix(startUrl) {
+  const { pathname } = new URL(startUrl);
+  if (pathname.endsWith('/')) return pathname;
+
+  // "/docs" is almost always a directory, "/docs/intro" a page inside one
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.length === 1 && !segments[0].includes('.')) {
+    return `${pathname}/`;
+  }
+  return pathname.slice(0, pathname.lastIndexOf('/') + 1);
+}
+
+/**
+ * Turn a --prefix value into a whole-directory path prefix, so "/docs" doesn't
+ * also match "/docs-archive/" and "docs/" still starts at the root
+ * @param {string} prefix - Path prefix as given
+ * @returns {string} - Path prefix starting and ending in '/'
+ */
+export function normalizePrefix(prefix) {
+  return `/${prefix.trim().replace(/^\/+|\/+$/g, '')}/`.replace(/^\/\/$/, '/');
+}
+
+/**
+ * Check a --prefix value against the URL the crawl starts from
+ * @param {string} prefix - Path prefix as given
+ * @param {string} startUrl - URL the crawl starts from
+ * @throws {Error} - If the prefix isn't a path, or the start URL is outside it
+ */
+export function checkPrefix(prefix, startUrl) {
+  if (typeof prefix !== 'string' || !prefix.trim()) {
+    throw new Error('--prefix must be a path such as /docs/');
+  }
+  const normalized = normalizePrefix(prefix);
+  const { pathname } = new URL(startUrl);
+  if (!pathname.startsWith(normalized) && pathname !== normalized.slice(0, -1)) {
+    throw new Error(`--prefix ${normalized} doesn't contain the start URL ${startUrl}`);
+  }
+}
+
+/**
+ * Determine if a URL is likely to be a documentation page
+ * @param {string} url - URL to check
+ * @returns {boolean} - Whether URL is likely a documentation page
+ */
+export function isLikelyDocPage(url) {
+  // Exclude patterns that are likely not documentation pages
+  const excludePatterns = [
+    '/download/',
+    '/releases/',
+    '/changelog/',
+    '/community/',
+    '/forum/',
+    '/contact/',
+    '/pricing/',
+    '/team/',
+    '/about/',
+    '/support/',
+    '/legal/',
+    '/terms/',
+    '/privacy/'
+  ];
+
+  // If URL contains any exclude pattern, it's not a doc page
+  if (excludePatterns.some(pattern => url.includes(pattern))) {
+    return false;
+  }
+
+  // Otherwise, consider it a documentation page
+  return true;
+}
+
+/**
+ * Create the scope rules for a crawl
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {Object} [options] - Scope options
+ * @param {boolean} [options.confine] - Only crawl below the start URL's path prefix (default: true)
+ * @param {string} [options.prefix] - Path prefix to confine to instead of the start URL's
+ * @param {string[]} [options.include] - Patterns a page must match to be kept
+ * @param {string[]} [options.exclude] - Patterns that exclude a page from crawling and output
+ * @param {Object|null} [options.version] - Documentation version to stay within, from detectVersions
+ * @returns {{prefix: string|null, canCrawl: Function, shouldKeep: Function}} - Scope
+ */
+export function createScope(startUrl, options = {}) {
+  const {
+    confine = true,
+    include = [],
+    exclude = [],
+    version = null
+  } = options;
+
+  const baseDomain = new URL(startUrl).hostname;
+  const prefix = confine ? (options.prefix ? normalizePrefix(options.prefix) : defaultPathPrefix(startUrl)) : null;
+  const includePatterns = include.map(patternToRegExp);
+  const excludePatterns = exclude.map(patternToRegExp);
+
+  // Patterns starting with a scheme match the full URL, everything else the path and query
+  const matches = (regex, pattern, urlObj) => regex.test(
+    /^https?:/.test(pattern) ? urlObj.href : urlObj.pathname + urlObj.search
+  );
+
+  /**
+   * Check whether a URL may be crawled for links
+   * @param {string} url - Absolute URL
+   * @returns {boolean} - Whether the URL is within the crawl scope
+   */
+  function canCrawl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    if (urlObj.hostname !== baseDomain) return false;
+
+    if (prefix && !urlObj.pathname.startsWith(prefix) && urlObj.pathname !== prefix.slice(0, -1)) {
+      return false;
+    }
+
+    // Other versions of the docs are out of scope
+    if (version && !isInVersion(urlObj.href, version)) {
+      return false;
+    }
+
+    return !excludePatterns.some((regex, i) => matches(regex, exclude[i], urlObj));
+  }
+
+  /**
+   * Check whether a crawled URL should end up in the output
+   * @param {string} url - Absolute URL
+   * @returns {boolean} - Whether the page should be scraped
+   */
+  function shouldKeep(url) {
+    if (!canCrawl(url) || !isLikelyDocPage(url)) return false;
+    if (includePatterns.length === 0) return true;
+
+    const urlObj = new URL(url);
+    return includePatterns.some((regex, i) => matches(regex, include[i], urlObj));
+  }
+
+  return { prefix, canCrawl, shouldKeep };
+}
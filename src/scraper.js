@@ -1,9 +1,30 @@
-import axios from 'axios';
-import * as cheerio from 'cheerio';
-import { NodeHtmlMarkdown } from 'node-html-markdown';
 import { URL } from 'url';
-import OpenAI from 'openai';
 import PQueue from 'p-queue'; // Import p-queue for better concurrency control
+import { createHttpClient } from './http.js';
+import { fetchRobotsPolicy } from './robots.js';
+import { discoverSitemapUrls } from './sitemap.js';
+import { createScope } from './scope.js';
+import { createPageCache, hashContent } from './cache.js';
+import { dataPath } from './config.js';
+import { loadCheckpoint, createCheckpointer, scopeMismatch } from './checkpoint.js';
+import { createProvider } from './providers.js';
+import { cleanPageWithAI } from './cleaner.js';
+import { countTokens } from './tokens.js';
+import { countInboundLinks, fitToBudget } from './budget.js';
+import { extractNavTree, extractNextLink, orderPages } from './navigation.js';
+import { createExtractors, detectFramework } from './frameworks.js';
+import { splitIntoParts } from './split.js';
+import { renderDocument } from './markdown.js';
+import { removeBoilerplate } from './boilerplate.js';
+import { createUrlCanonicalizer, extractCanonicalUrl, fingerprintContent } from './canonical.js';
+import { ALL_LOCALES, resolveLocale, localeFromUrl, localeSegmentIndex, matchesLocale, pageLocale, extractAlternates, describeLeftOut } from './locales.js';
+import {
+  EXTRACTOR_VERSION,
+  isAssetUrl,
+  loadHtml,
+  extractLinks,
+  extractPageContent
+} from './extract.js';
 import {
   logger,
   logInfo,
@@ -15,147 +36,128 @@ import {
 import {
   createSpinner,
   displayInfo,
+  displayWarning,
   formatUrl,
   formatCount,
-  formatTitle,
-  formatHeading,
-  formatListItem
+  formatTitle
 } from './ui.js';
 
-// Initialize markdown converter
-const nhm = new NodeHtmlMarkdown();
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 /**
- * Cleans and formats markdown content using OpenAI GPT-4o-mini
- * @param {string} content - Raw markdown content to clean
- * @param {string} title - Title of the page
- * @param {string} url - URL of the page
- * @returns {Promise<string>} - Cleaned and formatted markdown content
+ * Fetch a page, revalidating any cached copy, and parse it if it is HTML
+ * @param {string} url - URL to fetch
+ * @param {Object} http - HTTP client from createHttpClient
+ * @param {Object} cache - Page cache from createPageCache
+ * @returns {Promise<{$: import('cheerio').CheerioAPI, entry: Object, unchanged: boolean, location: string}|null>} - Parsed page, its cache entry, whether it changed since it was cached and the URL it was served from after redirects, or null if it isn't an HTML page
  */
-async function cleanMarkdownWithAI(content, title, url) {
-  try {
-    // Create system message with instructions
-    const systemMessage = `You are a documentation formatter that specializes in cleaning up scraped web content. 
-Your task is to improve the quality and readability of scraped documentation.`;
-
-    // Create user message with content to clean
-    const userMessage = `
-I have scraped documentation content from a webpage and converted it to markdown. Please clean and format this content by:
-1. Removing any navigation elements, footers, or other non-documentation content
-2. Fixing any formatting issues or broken markdown syntax
-3. Ensuring proper heading hierarchy
-4. Making the content more readable and well-formatted
-5. Preserving all technical information and code examples
-6. Keeping only the essential documentation content
-
-The content is from: ${url}
-Title: ${title}
-
-Here's the content to clean:
-
-${content}
-
-Please return ONLY the cleaned markdown with no additional explanation or commentary. Maintain all technical accuracy.
-`;
-
-    // Send the request to OpenAI
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemMessage },
-        { role: "user", content: userMessage }
-      ],
-      temperature: 0.7,
-      max_tokens: 4000,
-    });
-
-    // Extract and return the cleaned content
-    const cleanedContent = completion.choices[0].message.content;
+async function fetchPage(url, http, cache) {
+  // Skip URLs that are likely to be binary files or assets
+  if (isAssetUrl(url)) {
+    return null;
+  }
 
-    // If we got back an empty response or very short response, fall back to the original
-    if (!cleanedContent || cleanedContent.length < 100) {
-      logWarning(`AI cleaning returned too short content for ${url}, using original`);
-      return content;
+  // Ask the server to skip the body if our cached copy is still current
+  const cached = await cache.get(url);
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await http.get(url, {
+    timeout: 15000,
+    responseType: 'text',
+    headers,
+    validateStatus: function (status) {
+      return status < 400; // Only consider responses with status code < 400 as successful
     }
+  });
 
-    logSuccess(`Successfully cleaned content from ${url} using GPT-4o-mini`);
-    return cleanedContent;
-  } catch (error) {
-    // If there's any error with the AI, return the original content
-    logWarning(`Error cleaning content with GPT-4o-mini for ${url}: ${error.message}`);
-    return content;
+  // Redirects were followed, so the page may live somewhere else
+  const location = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+  if (response.status === 304 && cached) {
+    logDebug(`Cached copy of ${url} is still current`);
+    return { $: loadHtml(cached.body), entry: cached, unchanged: true, location };
   }
-}
 
-/**
- * Process a batch of pages with rate limiting
- * @param {Array} batch - Array of pages to process
- * @returns {Promise<Array>} - Array of processed pages
- */
-async function processBatchWithAI(batch) {
-  const aiQueue = new PQueue({ concurrency: 20 }); // Process 20 in parallel
-  const results = [];
-
-  for (const page of batch) {
-    results.push(
-      aiQueue.add(async () => {
-        try {
-          const cleanedContent = await cleanMarkdownWithAI(page.content, page.title, page.url);
-          logSuccess(`AI cleaned content for ${page.url}`);
-          return {
-            ...page,
-            content: cleanedContent
-          };
-        } catch (error) {
-          logWarning(`AI cleaning failed for ${page.url}: ${error.message}`);
-          return page; // Return original page if cleaning fails
-        }
-      })
-    );
+  // If we got here, the response was successful
+  const contentType = response.headers['content-type'] || '';
+
+  // Skip binary content
+  if (!contentType.includes('text/html') &&
+    !contentType.includes('application/xhtml+xml') &&
+    !contentType.includes('text/plain')) {
+    return null;
   }
 
-  return Promise.all(results);
+  const body = String(response.data);
+  const hash = hashContent(body);
+  const unchanged = Boolean(cached && cached.hash === hash);
+
+  const entry = {
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    hash,
+    fetchedAt: new Date().toISOString(),
+    body,
+    // Extracted and cleaned content stay valid only while the page is unchanged
+    page: unchanged ? cached.page : null,
+    cleaned: unchanged ? cached.cleaned : null
+  };
+  await cache.set(url, entry);
+
+  return { $: loadHtml(body), entry, unchanged, location };
 }
 
 /**
- * Process all pages with AI cleaning using batches and rate limiting
- * @param {Array} pages - Array of pages to process
- * @param {Object} options - Processing options
- * @returns {Promise<Array>} - Array of processed pages
+ * Open the connection a crawl fetches pages through: an HTTP client that
+ * identifies itself honestly and honors the site's robots.txt and Crawl-delay,
+ * and the page cache. Pages fetched through it before the crawl, such as the
+ * start page checked for documentation versions, are reused by scrapeContent
+ * instead of being downloaded again.
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {Object} [options] - Connection options
+ * @param {string} [options.userAgent] - User-Agent header to send
+ * @param {number} [options.delay] - Minimum delay between requests to the same host in milliseconds
+ * @param {string} [options.cacheDir] - Directory for the page cache (default: the data directory's)
+ * @param {string} [options.dataDir] - Directory the page cache is kept in unless cacheDir is given
+ * @param {boolean} [options.refresh] - Ignore cached pages
+ * @returns {Promise<{http: Object, robots: Object, cache: Object, fetched: Map<string, Object>, fetchPage: function(string): Promise<Object|null>}>} - Connection, with the pages fetched through it by URL, and a fetchPage that returns null for URLs robots.txt disallows
  */
-async function processAllPagesWithAI(pages, spinner) {
-  const batchSize = 20; // Process 20 pages per batch
-  const batchDelay = 1000; // 1 second delay between batches
-  const batches = [];
-
-  // Split pages into batches of 20
-  for (let i = 0; i < pages.length; i += batchSize) {
-    batches.push(pages.slice(i, i + batchSize));
-  }
-
-  let processedPages = [];
-  let batchCount = 0;
-
-  // Process each batch with a delay between them
-  for (const batch of batches) {
-    batchCount++;
-    spinner.text = `Cleaning content with GPT-4o-mini... Batch ${batchCount}/${batches.length} (${formatCount(batchCount * batchSize > pages.length ? pages.length : batchCount * batchSize)}/${pages.length} pages)`;
+export async function openCrawl(startUrl, options = {}) {
+  const { userAgent, delay = 0, cacheDir, dataDir, refresh = false } = options;
+  const baseDomain = new URL(startUrl).hostname;
 
-    const results = await processBatchWithAI(batch);
-    processedPages = [...processedPages, ...results];
+  const http = createHttpClient({ userAgent, delay });
+  const robots = await fetchRobotsPolicy(new URL(startUrl).origin, http);
+  if (robots.crawlDelay !== null) {
+    const crawlDelayMs = robots.crawlDelay * 1000;
+    http.setHostDelay(baseDomain, crawlDelayMs);
+    displayInfo(`Honoring robots.txt Crawl-delay of ${robots.crawlDelay}s`);
+    logInfo(`Honoring robots.txt Crawl-delay of ${robots.crawlDelay}s for ${baseDomain}`);
+  }
+  logInfo(`Crawling as User-Agent: ${http.userAgent}`);
 
-    // If this isn't the last batch, wait before processing the next one
-    if (batchCount < batches.length) {
-      await new Promise(resolve => setTimeout(resolve, batchDelay));
-    }
+  // Pages fetched on earlier runs are revalidated instead of refetched
+  const cache = createPageCache({ dir: cacheDir || dataPath('cache', dataDir), refresh });
+  if (refresh) {
+    logInfo('Ignoring cached pages (--refresh)');
   }
 
-  return processedPages;
+  const fetched = new Map();
+  return {
+    http,
+    robots,
+    cache,
+    fetched,
+    fetchPage: async url => {
+      if (!robots.isAllowed(url)) {
+        logInfo(`Not fetching ${url}: ${robots.unavailableReason || 'disallowed by robots.txt'}`);
+        return null;
+      }
+      const page = await fetchPage(url, http, cache);
+      if (page) fetched.set(url, page);
+      return page;
+    }
+  };
 }
 
 /**
@@ -164,13 +166,56 @@ async function processAllPagesWithAI(pages, spinner) {
  * @param {Object} options - Scraping options
  * @param {boolean} options.disableAI - Whether to disable AI cleaning
  * @param {number} options.concurrency - Number of concurrent operations
- * @returns {Promise<string>} - Combined markdown content
+ * @param {string} [options.userAgent] - User-Agent to identify the crawler with
+ * @param {number} [options.delay] - Minimum delay between requests to the same host in milliseconds
+ * @param {string} [options.sitemap] - How to use sitemap.xml: 'seed' (default), 'only' or 'off'
+ * @param {boolean} [options.confine] - Only crawl below the start URL's path prefix (default: true)
+ * @param {string} [options.prefix] - Path prefix to confine the crawl to instead of the start URL's
+ * @param {string[]} [options.include] - Glob or /regex/ patterns a page must match to be kept
+ * @param {string[]} [options.exclude] - Glob or /regex/ patterns of pages to leave out
+ * @param {number} [options.maxDepth] - Maximum link depth to crawl (default: 4)
+ * @param {number} [options.maxPages] - Maximum number of pages to scrape (default: 500)
+ * @param {boolean} [options.refresh] - Ignore the page cache and refetch everything
+ * @param {string} [options.cacheDir] - Directory for the page cache (default: the data directory's)
+ * @param {string} [options.dataDir] - Directory the page cache and crawl checkpoints are kept in (default: .docs2context)
+ * @param {boolean} [options.resume] - Continue from the checkpoint of an interrupted crawl
+ * @param {Object} [options.ai] - LLM provider settings for AI cleaning (see createProvider)
+ * @param {number} [options.maxTokens] - Token budget for the combined output; lower priority pages are condensed or omitted to fit
+ * @param {number} [options.splitTokens] - Split the output into parts of at most this many tokens
+ * @param {number} [options.splitBytes] - Split the output into parts of at most this many bytes
+ * @param {Array<Object>} [options.extractors] - Custom extractors for documentation frameworks (see createExtractors)
+ * @param {Object|null} [options.version] - Documentation version to stay within, from detectVersions
+ * @param {string} [options.lang] - Locale of the pages to keep, or 'all' (default: the start URL's locale, else the start page's <html lang>, else English)
+ * @param {string|string[]} [options.queryParams] - Query parameters to crawl URLs with: 'drop' (default), 'keep' or a list of names to keep
+ * @param {Object} [options.crawl] - Connection from openCrawl to fetch through, opened for the same site
+ * @returns {Promise<{content: string, parts: Array<{content: string, sections: Array<Object>, anchors: Object<string, string>, tokens: number, bytes: number}>, pages: Array<{url: string, title: string, content: string, tokens: number}>, scrapedPages: Array<Object>, tokens: number, condensed: Array<Object>, omitted: Array<Object>, skipped: Array<{url: string, reason: string}>, warnings: string[], verification: Array<Object>, version: string|null, language: {selected: string, excluded: number, locales: Object<string, number>}, pageKey: function(string): string}>} - Combined markdown content, its parts when splitting, the pages it was built from with their token counts, every scraped page in full, its total token count, the pages condensed or omitted to fit the budget, the URLs that were skipped, any warnings, the verification result of every AI-cleaned page, the documentation version scraped, the locale kept with how many URLs of each other locale were left out, and the key pages are told apart by (see createUrlCanonicalizer), which resolves redirected and canonicalized URLs to their page
  */
 export async function scrapeContent(startUrl, options = {}) {
   // Set default options
   const {
     disableAI = false,
-    concurrency = 10
+    concurrency = 10,
+    userAgent,
+    delay = 0,
+    sitemap = 'seed',
+    confine = true,
+    prefix,
+    include = [],
+    exclude = [],
+    maxDepth = 4,
+    maxPages = 500,
+    refresh = false,
+    cacheDir,
+    dataDir,
+    resume = false,
+    ai = {},
+    maxTokens,
+    splitTokens,
+    splitBytes,
+    extractors: customExtractors = [],
+    queryParams = 'drop',
+    version = null,
+    lang
   } = options;
 
   const baseUrl = new URL(startUrl).origin;
@@ -183,412 +228,710 @@ export async function scrapeContent(startUrl, options = {}) {
     displayInfo(`AI cleaning is disabled`);
   }
 
+  // Framework-specific extractors, custom ones from the config first
+  const extractors = createExtractors(customExtractors);
+
+  // Only set up an LLM client when it will actually be used
+  const provider = disableAI ? null : createProvider(ai);
+  if (provider) {
+    displayInfo(`AI cleaning with ${provider.model} (${provider.name})`);
+    logInfo(`Using AI provider ${provider.name} with model ${provider.model}`);
+  }
+
   logInfo(`Starting documentation scrape from ${startUrl}`);
   logInfo(`Using base URL: ${baseUrl}`);
   logInfo(`Using base domain: ${baseDomain}`);
 
-  // Create queue for concurrent operations
+  // Tell apart pages by their canonical URL, not by how they were linked
+  const urls = createUrlCanonicalizer(startUrl, { queryParams });
+
+  // Decide which URLs are part of the documentation
+  const scope = createScope(startUrl, { confine, prefix, include, exclude, version });
+  if (scope.prefix) {
+    displayInfo(`Confining crawl to ${scope.prefix}`);
+    logInfo(`Confining crawl to path prefix ${scope.prefix}`);
+  }
+  if (version) {
+    logInfo(`Leaving out pages of documentation versions other than ${version.label}`);
+  }
+
+  logInfo(`Crawl limits: depth ${maxDepth}, ${maxPages} pages`);
+
+  // Problems worth surfacing in the final summary
+  const warnings = [];
+
+  // Identify ourselves honestly and follow the site's robots.txt, reusing the
+  // connection pages were already fetched through before the crawl
+  const crawl = options.crawl || await openCrawl(startUrl, { userAgent, delay, cacheDir, dataDir, refresh });
+  const { http, robots, cache } = crawl;
+  let reusedPages = 0;
+  let reusedCleanings = 0;
+
+  // Translations of the docs are left out, keeping one language. Unless --lang
+  // or the start URL names it, the start page's own language is kept, so docs
+  // written only in another language aren't all left out.
+  let startPage = crawl.fetched.get(startUrl) || null;
+  if (!startPage && !lang && !localeFromUrl(startUrl) && robots.isAllowed(startUrl)) {
+    try {
+      startPage = await fetchPage(startUrl, http, cache);
+    } catch (error) {
+      // The crawl fetches it again and reports the failure
+      logDebug(`Could not read the language of ${startUrl}: ${error.message}`);
+    }
+  }
+  const locale = resolveLocale(lang, startUrl, startPage && pageLocale(startPage.$));
+  logInfo(locale === ALL_LOCALES ? 'Keeping pages in every language' : `Keeping pages in ${locale}`);
+  // Locale of the translations pages link to with hreflang, by URL key, for locales not kept
+  const translations = new Map();
+  // Locale of every URL left out for its language, by URL key
+  const otherLocales = new Map();
+  // Path segments known to hold the locale: the start URL's, and those hreflang
+  // alternates confirm. Elsewhere a segment such as /docs/id/ may be a page name.
+  const localePositions = new Set();
+  if (localeSegmentIndex(startUrl) >= 0) localePositions.add(localeSegmentIndex(startUrl));
+
+  // URLs that were not crawled, with the reason why
+  const skippedUrls = new Map();
+  const skipUrl = (url, reason) => {
+    if (skippedUrls.has(url)) return;
+    skippedUrls.set(url, reason);
+    logInfo(`Skipping ${url}: ${reason}`);
+  };
+  const robotsReason = robots.unavailableReason || 'disallowed by robots.txt';
+
+  // Look for sitemaps so deep pages don't depend on being linked from the start URL
+  let sitemapUrls = [];
+  if (sitemap !== 'off') {
+    const sitemapSpinner = createSpinner('Looking for sitemaps...');
+    sitemapSpinner.start();
+
+    // Sitemaps usually cover the whole site, keep only entries within the crawl scope
+    sitemapUrls = (await discoverSitemapUrls(startUrl, http, robots))
+      .map(url => urls.canonicalize(url))
+      .filter(url => url && scope.canCrawl(url) && inLocale(url));
+
+    if (sitemapUrls.length > 0) {
+      sitemapSpinner.succeed(`Found ${formatCount(sitemapUrls.length)} documentation URLs in sitemaps`);
+      logSuccess(`Seeding crawl with ${sitemapUrls.length} sitemap URLs`);
+    } else {
+      sitemapSpinner.info('No sitemap entries found, discovering pages by following links');
+      logInfo('No usable sitemap entries found, falling back to link-following');
+    }
+  }
+
+  // In 'only' mode the sitemap is the full page list, unless there wasn't one
+  const followLinks = sitemap !== 'only' || sitemapUrls.length === 0;
+
+  // Every page is fetched once by the crawl queue, which hands scraped pages
+  // straight to the AI queue (at most 20 requests per second) while crawling continues
   const crawlQueue = new PQueue({ concurrency });
-  const scrapeQueue = new PQueue({ concurrency });
+  const aiQueue = new PQueue({ concurrency: 20, interval: 1000, intervalCap: 20 });
 
-  // Create spinner for recursive crawling
-  const crawler = createSpinner('Crawling website for documentation pages...');
-  crawler.start();
+  // Create spinner for the crawl and scrape pipeline
+  const spinner = createSpinner('Crawling and scraping documentation pages...');
+  spinner.start();
 
-  // Set to track all discovered URLs (both visited and to be visited)
+  // Set to track the keys of all discovered URLs (both visited and to be visited)
   const discoveredUrls = new Set();
+  // The fetched URL each page was first scraped from, by the key of its canonical URL
+  const claimedUrls = new Map();
+  // The key of the canonical URL of each page, by the keys of the other URLs it was fetched from
+  const aliases = new Map();
+  // Tell pages apart by their canonical URL, whichever of their URLs a link or navigation entry uses
+  const pageKey = url => {
+    const key = urls.key(url) || url;
+    return aliases.get(key) || key;
+  };
+  // The URL each page content was first scraped from, by content fingerprint
+  const fingerprints = new Map();
   // Set to track visited URLs
   const visitedUrls = new Set();
-  // Queue of URLs to visit next
-  const urlQueue = [startUrl];
-
-  // Add start URL to discovered set
-  discoveredUrls.add(startUrl);
+  // Set of URLs whose processing finished (these are not redone on --resume)
+  const completedUrls = new Set();
+  // Set of page URLs whose content has been cleaned with AI
+  const cleanedUrls = new Set();
 
   // Counter for discovered docs pages
   let docPagesCount = 0;
-  // Max depth for crawling
-  const maxDepth = 4;
   // Map to track URL depth
   const urlDepth = new Map();
-  urlDepth.set(startUrl, 1);
+  // Outgoing in-scope links of every fetched URL, used to rank pages for the token budget
+  const pageLinks = new Map();
+  // The site's navigation tree, taken from the start page or the first page that has one
+  let navTree = null;
+  // Documentation frameworks recognised so far
+  const frameworks = new Set();
+
+  // Scraped pages, in the order they finished
+  const pages = [];
+  // Pages picked for scraping, counted up front so concurrent fetches respect maxPages
+  let reservedPages = 0;
+  // Documentation pages that were found but not fetched because of maxPages
+  let truncatedCount = 0;
+  let cleanedCount = 0;
 
   // Batch size for progress updates
   const progressUpdateSize = 20;
   let processedCount = 0;
-  let crawlProgressUpdate = 0;
-
-  // Extract links from a URL and add them to the queue
-  async function processUrl(url) {
-    try {
-      // Mark as visited before processing
-      visitedUrls.add(url);
-
-      // Get current depth
-      const depth = urlDepth.get(url) || 1;
+  let progressUpdate = 0;
+
+  const updateProgress = () => {
+    const cleaned = disableAI ? '' : `, ${formatCount(cleanedCount)} cleaned`;
+    spinner.text = `Crawling and scraping... (${formatCount(visitedUrls.size)} visited, ${formatCount(discoveredUrls.size)} discovered, ${formatCount(pages.length)} scraped${cleaned})`;
+  };
+
+  // Clean a page with AI in the background, storing the result in its cache entry
+  function scheduleCleaning(page, entry) {
+    // Cleaned output is reused as long as the model and its input are the same
+    const cleanKey = hashContent(`${provider.id}\n${page.content}`);
+    if (entry && entry.cleaned && entry.cleaned.key === cleanKey) {
+      page.content = entry.cleaned.content;
+      page.verification = entry.cleaned.verification;
+      cleanedUrls.add(page.url);
+      reusedCleanings++;
+      cleanedCount++;
+      return;
+    }
 
-      // Skip if we've reached max depth
-      if (depth > maxDepth) return;
+    aiQueue.add(async () => {
+      const original = page.content;
+      await cleanPageWithAI(provider, page);
+      cleanedUrls.add(page.url);
+      cleanedCount++;
 
-      // Update spinner occasionally (not on every URL to reduce overhead)
-      processedCount++;
-      if (processedCount - crawlProgressUpdate >= progressUpdateSize) {
-        crawler.text = `Crawling level ${depth}... (${formatCount(visitedUrls.size)} visited, ${formatCount(discoveredUrls.size)} discovered)`;
-        crawlProgressUpdate = processedCount;
+      if (entry && page.content !== original) {
+        entry.cleaned = { key: cleanKey, content: page.content, verification: page.verification };
+        await cache.set(page.fetchedUrl, entry);
       }
+    });
+  }
 
-      // Extract links from URL
-      const links = await extractLinksFromUrl(url, baseDomain);
-      const linksArray = Array.isArray(links) ? links : [];
-
-      // Process each link
-      const nextDepth = depth + 1;
-      for (const link of linksArray) {
-        // If we haven't discovered this URL yet
-        if (!discoveredUrls.has(link)) {
-          // Add to discovered set
-          discoveredUrls.add(link);
-          // Set depth
-          urlDepth.set(link, nextDepth);
-
-          // If it's likely a documentation page, increment counter
-          if (isLikelyDocPage(link)) {
-            docPagesCount++;
-          }
+  // Check whether a URL is in the kept locale, by its path or the hreflang
+  // alternates seen so far, recording it if not
+  function inLocale(url) {
+    const key = urls.key(url);
+    const found = localeFromUrl(url, localePositions) || translations.get(key);
+    if (!found || matchesLocale(found, locale)) return true;
+    if (!otherLocales.has(key)) logDebug(`Leaving out ${url}: in ${found}, not ${locale}`);
+    otherLocales.set(key, found);
+    return false;
+  }
 
-          // Add to queue for processing if we haven't reached max depth
-          if (nextDepth <= maxDepth) {
-            // Queue the link for crawling
-            crawlQueue.add(() => processUrl(link));
-          }
-        }
-      }
-    } catch (error) {
-      logWarning(`Failed to process ${url}: ${error.message}`);
+  // Record a newly found URL and queue it for fetching
+  function discoverUrl(url, depth) {
+    const key = urls.key(url);
+    if (!key || discoveredUrls.has(key)) return;
+    discoveredUrls.add(key);
+    urlDepth.set(url, depth);
+
+    if (!robots.isAllowed(url)) {
+      skipUrl(url, robotsReason);
+      return;
     }
-  }
 
-  // Start with the initial URL
-  await crawlQueue.add(() => processUrl(startUrl));
+    // If it's likely a documentation page, increment counter
+    if (scope.shouldKeep(url)) {
+      docPagesCount++;
+    }
 
-  // Wait for all crawling to complete
-  await crawlQueue.onIdle();
+    crawlQueue.add(() => processUrl(url));
+  }
 
-  // Log completion
-  crawler.succeed(`Recursive crawl complete. Visited ${formatCount(visitedUrls.size)} URLs, discovered ${formatCount(discoveredUrls.size)} URLs`);
-  logSuccess(`Found ${docPagesCount} likely documentation pages`);
+  // Process a URL and record that it is done so a resumed crawl skips it
+  async function processUrl(url) {
+    const done = await crawlUrl(url);
+    if (done) {
+      completedUrls.add(url);
+    }
+    checkpoint.schedule();
+  }
 
-  // Get all URLs we've discovered
-  const allUrlsArray = Array.from(discoveredUrls);
+  // Fetch a URL once, queue its links and scrape its content
+  // Returns false if the URL should be retried when the crawl is resumed
+  async function crawlUrl(url) {
+    // Mark as visited before processing
+    visitedUrls.add(url);
 
-  // Filter URLs to only include likely documentation pages
-  const docUrls = allUrlsArray.filter(url => isLikelyDocPage(url));
+    const depth = urlDepth.get(url) || 1;
+    // Links are followed up to maxDepth, pages linked from the deepest level are still scraped
+    const crawlLinks = followLinks && depth <= maxDepth;
 
-  crawler.succeed(`Found ${formatCount(docUrls.length)} documentation pages across ${maxDepth} levels`);
-  logSuccess(`Discovered ${docUrls.length} documentation pages through crawling`);
+    // Translations found since the URL was queued aren't fetched
+    if (!inLocale(url)) return true;
 
-  // Now scrape content from all the discovered URLs
-  const spinner = createSpinner('Scraping documentation content...');
-  spinner.start();
+    // Once the page limit is reached there is nothing left worth fetching
+    if (reservedPages >= maxPages) {
+      if (scope.shouldKeep(url)) truncatedCount++;
+      return true;
+    }
 
-  const maxPages = 500; // Limit to 500 pages for safety
-  const pagesToProcess = docUrls.slice(0, maxPages);
+    let keep = scope.shouldKeep(url);
 
-  const pages = [];
-  let pageCount = 0;
-  let scrapeProgressUpdate = 0;
+    // Nothing to gain from fetching this URL
+    if (!keep && !crawlLinks) return true;
+    if (keep) reservedPages++;
 
-  // Create a scraping task for each URL
-  const scrapingTasks = pagesToProcess.map(url => async () => {
     try {
-      const content = await scrapePageContent(url);
-      pageCount++;
-
-      // Update spinner occasionally
-      if (pageCount - scrapeProgressUpdate >= progressUpdateSize) {
-        spinner.text = `Scraping content... (${formatCount(pageCount)}/${pagesToProcess.length} pages)`;
-        scrapeProgressUpdate = pageCount;
+      // The start page may already have been fetched for its versions or language
+      const prefetched = startPage && urls.key(url) === urls.key(startUrl) ? startPage : null;
+      if (prefetched) startPage = null;
+      const fetched = prefetched || await fetchPage(url, http, cache);
+      if (!fetched) {
+        if (keep) reservedPages--;
+        return true;
+      }
+      const { $, entry, unchanged, location } = fetched;
+
+      // Remember the page's translations, and leave it out if it is one itself.
+      // Its links are still followed, as they may lead to the kept language.
+      const alternates = extractAlternates($, location);
+      alternates
+        .map(alternate => localeSegmentIndex(alternate.url, alternate.locale))
+        .filter(index => index >= 0)
+        .forEach(index => localePositions.add(index));
+      alternates
+        .filter(alternate => !matchesLocale(alternate.locale, locale) && urls.key(alternate.url) !== urls.key(location))
+        .forEach(alternate => translations.set(urls.key(alternate.url), alternate.locale));
+      const language = pageLocale($);
+      const foreign = Boolean(language) && !matchesLocale(language, locale);
+      if (foreign) {
+        logDebug(`Leaving out ${url}: the page is in ${language}, not ${locale}`);
+        otherLocales.set(urls.key(url), language);
+        if (keep) reservedPages--;
+        keep = false;
+        if (!crawlLinks) return true;
       }
 
-      if (content) {
-        logSuccess(`Successfully scraped content from ${url}`);
-        return content;
+      // Redirects and rel="canonical" give the page's real URL
+      const pageUrl = resolvePageUrl($, url, location);
+      if (!pageUrl) {
+        if (keep) reservedPages--;
+        return true;
+      }
+      // Relative links resolve against where the page was served from, not its canonical URL
+      if (location !== pageUrl && $('base[href]').length === 0) {
+        $('head').prepend($('<base>').attr('href', location));
       }
-    } catch (error) {
-      logWarning(`Failed to scrape content from ${url}: ${error.message}`);
-    }
-    return null;
-  });
 
-  // Add all scraping tasks to the queue
-  const scrapedPages = await Promise.all(
-    scrapingTasks.map(task => scrapeQueue.add(task))
-  );
+      const links = Array.from(new Set(extractLinks($, location, baseDomain)
+        .map(link => urls.canonicalize(link))
+        .filter(link => link && scope.canCrawl(link) && inLocale(link))));
+      pageLinks.set(pageUrl, links);
+      if (crawlLinks) {
+        links.forEach(link => discoverUrl(link, depth + 1));
+      }
 
-  // Filter out null results
-  const validPages = scrapedPages.filter(Boolean);
+      const extractor = detectFramework($, extractors);
+      if (extractor && !frameworks.has(extractor.name)) {
+        frameworks.add(extractor.name);
+        logInfo(`Detected ${extractor.name} documentation at ${url}`);
+      }
 
-  if (validPages.length === 0) {
-    spinner.fail('No documentation pages were successfully scraped');
-    logError('Failed to scrape any documentation pages');
-    return "No documentation content could be scraped.";
-  }
+      // Read the sidebar before extraction strips it from the page
+      if (!navTree && !foreign) {
+        navTree = extractNavTree($, location, extractor);
+        if (navTree) logInfo(`Using the navigation of ${url} to order pages`);
+      }
+      const next = extractNextLink($, location);
+
+      if (keep) {
+        // Unchanged pages reuse the markdown extracted last time
+        let page = null;
+        if (unchanged && entry.page && entry.page.extractor === EXTRACTOR_VERSION) {
+          const { extractor: version, ...extracted } = entry.page;
+          page = { url: pageUrl, ...extracted };
+          reusedPages++;
+        } else {
+          page = extractPageContent($, pageUrl, extractor);
+          if (page) {
+            const { url: extractedUrl, ...extracted } = page;
+            entry.page = { extractor: EXTRACTOR_VERSION, ...extracted };
+            await cache.set(url, entry);
+          }
+        }
 
-  spinner.succeed(`Scraped content from ${formatCount(validPages.length)} documentation pages`);
-  logSuccess(`Successfully scraped content from ${validPages.length} documentation pages`);
+        // The same content under another URL is left out of the bundle
+        const fingerprint = page ? fingerprintContent(page.content) : null;
+        if (page && fingerprints.has(fingerprint)) {
+          skipUrl(url, `same content as ${fingerprints.get(fingerprint)}`);
+          page = null;
+        } else if (page) {
+          fingerprints.set(fingerprint, pageUrl);
+        }
 
-  // Clean content with AI if not disabled
-  if (!disableAI) {
-    spinner.text = 'Cleaning content with GPT-4o-mini...';
-    spinner.start();
+        if (page) {
+          // The cache knows the page by the URL it was fetched from, not its canonical one
+          page.fetchedUrl = url;
+          page.fetchedAt = entry.fetchedAt;
+          page.next = next;
+          pages.push(page);
+          logSuccess(`Successfully scraped content from ${url}`);
 
-    // Process all pages with the new batch processing function
-    const cleanedPages = await processAllPagesWithAI(validPages, spinner);
+          if (!disableAI) {
+            scheduleCleaning(page, entry);
+          }
+        } else {
+          reservedPages--;
+        }
+      }
+    } catch (error) {
+      if (keep) reservedPages--;
+      logWarning(`Failed to process ${url}: ${error.message}`);
+      return false;
+    } finally {
+      // Update spinner occasionally (not on every URL to reduce overhead)
+      processedCount++;
+      if (processedCount - progressUpdate >= progressUpdateSize) {
+        updateProgress();
+        progressUpdate = processedCount;
+      }
+    }
 
-    spinner.succeed(`Cleaned ${formatCount(cleanedPages.length)} pages with GPT-4o-mini`);
-    pages.push(...cleanedPages);
-  } else {
-    // Skip AI cleaning
-    pages.push(...validPages);
+    return true;
   }
 
-  // Sort pages to try to get a logical order
-  spinner.text = 'Organizing content...';
-  spinner.start();
-
-  pages.sort((a, b) => {
-    // Check if URL contains "intro", "getting-started", etc.
-    const introTerms = ['intro', 'getting-started', 'overview', 'index', 'readme', 'home', 'quickstart'];
-    const aHasIntro = introTerms.some(term => a.url.toLowerCase().includes(term));
-    const bHasIntro = introTerms.some(term => b.url.toLowerCase().includes(term));
-
-    if (aHasIntro && !bHasIntro) return -1;
-    if (!aHasIntro && bHasIntro) return 1;
-
-    // Otherwise sort alphabetically by title
-    return a.title.localeCompare(b.title);
-  });
+  // Work out the canonical URL of a fetched page and claim it, so the page is
+  // scraped once however many URLs lead to it. Returns null when the page was
+  // already claimed or moved out of the crawl scope.
+  function resolvePageUrl($, url, location) {
+    let pageUrl = urls.canonicalize(location) || url;
+    if (urls.key(pageUrl) !== urls.key(url) && !scope.canCrawl(pageUrl)) {
+      skipUrl(url, `redirects to ${pageUrl}, outside the crawl scope`);
+      return null;
+    }
 
-  logInfo('Sorted pages in logical order with introductory content first');
+    // A canonical link elsewhere on the docs' host names the URL to list the page under
+    const declared = urls.canonicalize(extractCanonicalUrl($, location) || '');
+    if (declared && new URL(declared).hostname === baseDomain && scope.canCrawl(declared)) {
+      pageUrl = declared;
+    }
 
-  // Create table of contents
-  spinner.text = 'Generating table of contents...';
+    const key = urls.key(pageUrl);
+    [url, location].map(alias => urls.key(alias)).filter(alias => alias && alias !== key).forEach(alias => aliases.set(alias, key));
+    const claimed = claimedUrls.get(key);
+    if (claimed && claimed !== url) {
+      skipUrl(url, `same page as ${claimed}`);
+      return null;
+    }
+    claimedUrls.set(key, url);
+    // The canonical URL itself needn't be fetched again
+    discoveredUrls.add(key);
+    if (pageUrl !== url) logDebug(`Using ${pageUrl} as the URL of ${url}`);
 
-  let toc = formatHeading('Table of Contents');
-  pages.forEach((page, index) => {
-    const anchor = page.title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-    toc += formatListItem(`[${page.title}](#${anchor})`, index) + '\n';
-  });
+    return pageUrl;
+  }
 
-  logInfo('Generated table of contents with links to all sections');
+  // Crawl state is saved periodically so an interrupted crawl can be resumed, but
+  // only by a crawl of the same pages
+  const checkpointScope = {
+    lang: locale,
+    version: version ? version.url : null,
+    prefix: scope.prefix,
+    include,
+    exclude,
+    queryParams
+  };
+  const checkpoint = createCheckpointer(startUrl, () => ({
+    scope: checkpointScope,
+    discovered: Array.from(urlDepth),
+    completed: Array.from(completedUrls),
+    skipped: Array.from(skippedUrls),
+    truncatedCount,
+    links: Array.from(pageLinks),
+    claimed: Array.from(claimedUrls),
+    aliases: Array.from(aliases),
+    fingerprints: Array.from(fingerprints),
+    translations: Array.from(translations),
+    otherLocales: Array.from(otherLocales),
+    localePositions: Array.from(localePositions),
+    nav: navTree,
+    pages: pages.map(page => ({ ...page, cleaned: cleanedUrls.has(page.url) }))
+  }), { dir: dataPath('checkpoints', dataDir) });
+
+  const onInterrupt = async () => {
+    spinner.stop();
+    await checkpoint.save();
+    displayWarning(`Interrupted. Progress was saved, run the same command with --resume to continue.`);
+    logWarning(`Crawl interrupted, checkpoint saved to ${checkpoint.file}`);
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
 
-  // Combine all content
-  spinner.text = 'Compiling final documentation...';
+  try {
+    // Pick up where an interrupted crawl left off
+    if (resume) {
+      let saved = await loadCheckpoint(startUrl, dataPath('checkpoints', dataDir));
+      const mismatch = saved ? scopeMismatch(saved, checkpointScope) : [];
+      if (mismatch.length > 0) {
+        displayWarning(`The checkpoint for this URL was saved with a different ${mismatch.join(', ')}, starting a fresh crawl`);
+        logWarning(`Discarding checkpoint ${checkpoint.file}: saved with a different ${mismatch.join(', ')}`);
+        saved = null;
+      }
+      if (saved) {
+        saved.discovered.forEach(([url, depth]) => {
+          discoveredUrls.add(urls.key(url));
+          urlDepth.set(url, depth);
+        });
+        saved.claimed.forEach(([key, url]) => {
+          claimedUrls.set(key, url);
+          discoveredUrls.add(key);
+        });
+        saved.aliases.forEach(([alias, key]) => aliases.set(alias, key));
+        saved.fingerprints.forEach(([fingerprint, url]) => fingerprints.set(fingerprint, url));
+        saved.translations.forEach(([key, found]) => translations.set(key, found));
+        saved.otherLocales.forEach(([key, found]) => otherLocales.set(key, found));
+        saved.localePositions.forEach(index => localePositions.add(index));
+        saved.completed.forEach(url => {
+          completedUrls.add(url);
+          visitedUrls.add(url);
+        });
+        saved.skipped.forEach(([url, reason]) => skippedUrls.set(url, reason));
+        truncatedCount = saved.truncatedCount;
+        saved.links.forEach(([url, links]) => pageLinks.set(url, links));
+        navTree = saved.nav || null;
+        docPagesCount = saved.discovered.filter(([url]) => !skippedUrls.has(url) && scope.shouldKeep(url)).length;
+
+        for (const { cleaned, ...page } of saved.pages) {
+          pages.push(page);
+          reservedPages++;
+          if (cleaned) {
+            cleanedUrls.add(page.url);
+            cleanedCount++;
+          } else if (!disableAI) {
+            scheduleCleaning(page, await cache.get(page.fetchedUrl));
+          }
+        }
 
-  const combinedContent = [
-    `# Documentation\n\nAutomatically aggregated documentation from ${startUrl}\n\n`,
-    toc,
-    ...pages.map(page => page.content)
-  ].join('\n\n---\n\n');
+        // Continue with everything that was found but not finished
+        saved.discovered
+          .filter(([url]) => !completedUrls.has(url) && !skippedUrls.has(url))
+          .forEach(([url]) => crawlQueue.add(() => processUrl(url)));
 
-  spinner.succeed('Documentation compilation complete');
-  logSuccess(`Successfully compiled documentation with ${pages.length} pages and ${combinedContent.length} characters`);
+        displayInfo(`Resuming crawl saved at ${saved.savedAt}: ${formatCount(pages.length)} pages already scraped, ${formatCount(crawlQueue.size)} URLs left`);
+        logInfo(`Resumed crawl from ${checkpoint.file} with ${pages.length} pages and ${completedUrls.size} completed URLs`);
+      } else if (mismatch.length === 0) {
+        displayInfo('No checkpoint found for this URL, starting a fresh crawl');
+        logInfo(`No checkpoint found for ${startUrl}, starting a fresh crawl`);
+      }
+    }
 
-  return combinedContent;
-}
+    // Start with the initial URL, then add sitemap entries as extra starting points
+    discoverUrl(urls.canonicalize(startUrl) || startUrl, 1);
+    sitemapUrls.forEach(url => discoverUrl(url, 1));
 
-/**
- * Extract links from a URL that match the base domain
- * @param {string} url - URL to extract links from
- * @param {string} baseDomain - Domain to filter links by
- * @returns {Promise<string[]>} - Array of discovered URLs
- */
-async function extractLinksFromUrl(url, baseDomain) {
-  try {
-    // Skip URLs that are likely to be binary files or assets
-    if (url.match(/\.(pdf|zip|jpg|jpeg|png|gif|svg|css|js|ico|woff|woff2|ttf|eot)$/i)) {
-      return [];
+    // Wait for crawling (and the AI work it queued) to complete
+    await crawlQueue.onIdle();
+    if (!disableAI && aiQueue.size + aiQueue.pending > 0) {
+      spinner.text = `Finishing AI cleaning... (${formatCount(cleanedCount)}/${pages.length} pages)`;
     }
+    await aiQueue.onIdle();
+  } finally {
+    // Also when the crawl throws, so the handler doesn't outlive it in a long-running server
+    process.off('SIGINT', onInterrupt);
+  }
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: 10000, // 10 second timeout
-      validateStatus: function (status) {
-        return status < 400; // Only consider responses with status code < 400 as successful
-      }
-    });
+  // The crawl finished, so there is nothing left to resume
+  await checkpoint.remove();
 
-    // If we got here, the response was successful
-    const contentType = response.headers['content-type'] || '';
+  // Log completion
+  if (followLinks) {
+    logSuccess(`Recursive crawl complete. Visited ${visitedUrls.size} URLs, discovered ${discoveredUrls.size} URLs`);
+  } else {
+    logSuccess(`Used ${discoveredUrls.size} URLs from sitemaps without following links`);
+  }
+  logSuccess(`Found ${docPagesCount} likely documentation pages`);
 
-    // Skip binary content
-    if (!contentType.includes('text/html') &&
-      !contentType.includes('application/xhtml+xml') &&
-      !contentType.includes('text/plain')) {
-      return [];
-    }
+  // Report which language was kept and what was left out for it
+  const localeCounts = {};
+  otherLocales.forEach(found => { localeCounts[found] = (localeCounts[found] || 0) + 1; });
+  const language = { selected: locale, excluded: otherLocales.size, locales: localeCounts };
+  if (otherLocales.size > 0) {
+    const list = Object.entries(localeCounts).sort((a, b) => b[1] - a[1]).map(([found, count]) => `${found}: ${count}`).join(', ');
+    displayInfo(`Kept pages in ${locale}, left out ${formatCount(otherLocales.size)} URLs in other languages (${list})`);
+    logInfo(`Kept pages in ${locale}, left out ${otherLocales.size} URLs in other languages (${list})`);
+  }
 
-    const $ = cheerio.load(response.data);
-    const links = new Set();
+  if (frameworks.size > 0) {
+    displayInfo(`Used the ${Array.from(frameworks).join(', ')} extractor${frameworks.size > 1 ? 's' : ''}`);
+  }
 
-    $('a').each((i, element) => {
-      const href = $(element).attr('href');
-      if (!href) return;
+  if (reusedPages > 0 || reusedCleanings > 0) {
+    displayInfo(`Reused ${formatCount(reusedPages)} unchanged pages and ${formatCount(reusedCleanings)} AI cleanings from the cache`);
+    logInfo(`Reused ${reusedPages} unchanged pages and ${reusedCleanings} AI cleanings from ${cache.dir}`);
+  }
 
-      // Resolve relative URLs
-      let resolvedUrl;
-      try {
-        resolvedUrl = new URL(href, url).href;
-      } catch (e) {
-        return;
-      }
+  if (skippedUrls.size > 0) {
+    displayInfo(`Skipped ${formatCount(skippedUrls.size)} URLs (see logs for reasons)`);
+  }
+  const skipped = Array.from(skippedUrls, ([url, reason]) => ({ url, reason }));
 
-      // Check if URL is from the same domain and not a file/resource
-      const urlObj = new URL(resolvedUrl);
-      if (
-        urlObj.hostname === baseDomain &&
-        !resolvedUrl.includes('#') && // Skip anchor links
-        !resolvedUrl.endsWith('.pdf') && // Skip PDFs
-        !resolvedUrl.endsWith('.zip') && // Skip downloads
-        !resolvedUrl.match(/\.(jpg|jpeg|png|gif|svg|css|js|ico|woff|woff2|ttf|eot)$/i) && // Skip media/assets
-        !resolvedUrl.includes('?') // Skip URLs with query parameters to avoid crawling the same content with different params
-      ) {
-        links.add(resolvedUrl);
-      }
-    });
+  if (truncatedCount > 0) {
+    const message = `Reached the ${maxPages}-page limit, at least ${truncatedCount} more documentation pages were found but not scraped (raise --max-pages to include them)`;
+    displayWarning(message);
+    logWarning(message);
+    warnings.push(message);
+  }
 
-    return Array.from(links);
-  } catch (error) {
-    // Just log the error and return an empty array - we'll continue with other URLs
-    logWarning(`Failed to extract links from ${url}: ${error.message}`);
-    return [];
+  if (pages.length === 0) {
+    const leftOut = describeLeftOut(language);
+    if (leftOut) {
+      displayWarning(leftOut);
+      logWarning(leftOut);
+      warnings.push(leftOut);
+    }
+    spinner.fail('No documentation pages were successfully scraped');
+    logError('Failed to scrape any documentation pages');
+    return { content: "No documentation content could be scraped.", parts: [], pages: [], scrapedPages: [], tokens: 0, condensed: [], omitted: [], skipped, warnings, verification: [], version: version ? version.label : null, language, pageKey };
   }
-}
 
-/**
- * Scrape content from a single page
- * @param {string} url - URL to scrape
- * @returns {Promise<Object|null>} - Page object with title and content, or null if failed
- */
-async function scrapePageContent(url) {
-  try {
-    // Skip URLs that are likely to be binary files or assets
-    if (url.match(/\.(pdf|zip|jpg|jpeg|png|gif|svg|css|js|ico|woff|woff2|ttf|eot)$/i)) {
-      return null;
+  const cleanedSummary = disableAI ? '' : `, cleaned ${formatCount(cleanedCount)} with ${provider.model}`;
+  spinner.succeed(`Scraped ${formatCount(pages.length)} documentation pages from ${formatCount(visitedUrls.size)} visited URLs${cleanedSummary}`);
+  logSuccess(`Successfully scraped content from ${pages.length} documentation pages`);
+
+  // Report how the AI output held up against the original pages
+  const verification = pages
+    .filter(page => page.verification)
+    .map(page => ({ url: page.url, ...page.verification }));
+  if (verification.length > 0) {
+    const counts = {};
+    verification.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+    const summary = Object.entries(counts).map(([status, count]) => `${formatCount(count)} ${status}`).join(', ');
+    logInfo(`AI output verification: ${summary}`);
+
+    verification
+      .filter(({ status }) => status !== 'passed')
+      .forEach(({ url, status, issues }) => logInfo(`Verification ${status} for ${url}: ${issues.join('; ')}`));
+
+    const rejected = verification.filter(({ status }) => status === 'partial' || status === 'original').length;
+    if (rejected > 0) {
+      const message = `AI cleaning was rejected for all or part of ${rejected} pages, which keep their original text (see logs for reasons)`;
+      logWarning(message);
+      warnings.push(message);
     }
+  }
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: 15000, // Increased timeout to 15 seconds
-      validateStatus: function (status) {
-        return status < 400; // Only consider responses with status code < 400 as successful
-      }
-    });
+  // Put pages in the order a reader of the site would see them
+  spinner.text = 'Organizing content...';
+  spinner.start();
 
-    // If we got here, the response was successful
-    const contentType = response.headers['content-type'] || '';
+  // Strip headers, menus and footers that extraction let through on every page
+  const boilerplate = removeBoilerplate(pages);
+  if (boilerplate.pages > 0) {
+    logInfo(`Removed ${boilerplate.blocks} blocks and menu entries repeated across pages from ${boilerplate.pages} pages`);
+  }
 
-    // Skip binary content
-    if (!contentType.includes('text/html') &&
-      !contentType.includes('application/xhtml+xml') &&
-      !contentType.includes('text/plain')) {
-      return null;
-    }
+  // Follow the site's own reading order: its navigation, then rel="next" links and URL paths
+  pages.splice(0, pages.length, ...orderPages(pages, { navTree, startUrl, key: pageKey }));
 
-    const $ = cheerio.load(response.data);
-    const title = $('title').text().trim() || url;
-
-    // Extract content from main documentation area
-    const contentSelectors = [
-      'main',
-      '#main-content',
-      '.main-content',
-      '.documentation',
-      '.content',
-      'article',
-      '.markdown-body',
-      '#content',
-      '.docs-content',
-      '.docs',
-      '.document',
-      '.doc-content',
-      '.readme',
-      '.page-content',
-      'body'
-    ];
-
-    let mainContent = null;
-    for (const selector of contentSelectors) {
-      const content = $(selector).html();
-      if (content) {
-        logDebug(`Found content in ${url} using selector: ${selector}`);
-        mainContent = content;
-        break;
-      }
-    }
+  const orderSource = navTree ? 'the site navigation' : 'rel="next" links and URL paths';
+  logInfo(`Ordered pages by ${orderSource}`);
 
-    if (!mainContent) {
-      return null;
+  // Count tokens so the bundle size is known in the unit models care about
+  spinner.text = 'Counting tokens...';
+  pages.forEach(page => {
+    page.tokens = countTokens(page.content);
+    logInfo(`${page.tokens} tokens: ${page.url}`);
+  });
+
+  // The bundle's header records which version of the docs it holds
+  const versionLabel = version ? version.label : null;
+
+  // Fit the bundle to the token budget, keeping the most important pages whole
+  let included = pages;
+  let condensed = [];
+  let omitted = [];
+  if (maxTokens) {
+    const total = pages.reduce((sum, page) => sum + page.tokens, 0);
+    if (total > maxTokens) {
+      spinner.text = `Fitting ${formatCount(total)} tokens into a ${formatCount(maxTokens)}-token budget...`;
+      // The header, table of contents heading and appendix heading are there regardless
+      const reserved = countTokens(renderDocument(startUrl, [], { omitted: pages.slice(0, 1), maxTokens, version: versionLabel, key: pageKey }).content);
+      ({ pages: included, condensed, omitted } = fitToBudget(pages, maxTokens, {
+        inbound: countInboundLinks(pages, pageLinks, pageKey),
+        reserved
+      }));
+
+      const appendix = omitted.length > 0 ? ' (omitted pages are listed in an appendix)' : '';
+      const message = `Over the ${maxTokens}-token budget: condensed ${condensed.length} and omitted ${omitted.length} of ${pages.length} pages${appendix}`;
+      logWarning(message);
+      warnings.push(message);
+      condensed.forEach(page => logInfo(`Condensed to ${page.tokens} tokens: ${page.url}`));
+      omitted.forEach(page => logInfo(`Omitted to fit the token budget: ${page.url}`));
     }
+  }
 
-    // Clean up the content before converting to markdown
-    // Remove script and style tags
-    $('script, style, noscript, iframe, svg').remove();
+  // Create table of contents and combine all content
+  spinner.text = 'Compiling final documentation...';
 
-    // Convert HTML to Markdown
-    const markdown = nhm.translate(mainContent);
+  const { content: combinedContent, links } = renderDocument(startUrl, included, { omitted, maxTokens, version: versionLabel, key: pageKey });
+  const tokens = countTokens(combinedContent);
+  logInfo(`Pointed ${links.internal} links between pages at their sections, marked links to ${links.flagged.length} pages that are not included`);
+  links.flagged.forEach(url => logDebug(`Linked to but not included: ${url}`));
 
-    // Skip pages with very little content (likely not documentation)
-    if (markdown.length < 100) {
-      return null;
-    }
+  if (maxTokens && tokens > maxTokens) {
+    const message = `The output is ${tokens} tokens, still over the ${maxTokens}-token budget`;
+    logWarning(message);
+    warnings.push(message);
+  }
 
-    // Format initial content with title and source
-    const formattedContent = `# ${title}\n\nSource: ${url}\n\n${markdown}`;
+  // Split into size-bounded parts on page boundaries, keeping doc sections together where possible
+  let parts = [];
+  if (splitTokens || splitBytes) {
+    spinner.text = 'Splitting documentation into parts...';
+    const header = renderDocument(startUrl, [], { part: 1, parts: 1, version: versionLabel, key: pageKey }).content;
+    const sections = splitIntoParts(included, {
+      maxTokens: splitTokens,
+      maxBytes: splitBytes,
+      reserved: { tokens: countTokens(header), bytes: Buffer.byteLength(header) }
+    });
 
-    return {
-      url: url,
-      title: title,
-      content: formattedContent
-    };
-  } catch (error) {
-    // Just return null - we'll continue with other URLs
-    return null;
-  }
-}
+    // Links to pages in other parts name the part they are in
+    const partOf = new Map();
+    sections.forEach((part, index) => part.sections.forEach(section => section.pages.forEach(page => {
+      const key = pageKey(page.url);
+      if (!partOf.has(key)) partOf.set(key, index + 1);
+    })));
+
+    parts = sections.map((part, index) => {
+      const partPages = part.sections.flatMap(section => section.pages);
+      const last = index === sections.length - 1;
+      const { content, anchors } = renderDocument(startUrl, partPages, {
+        omitted: last ? omitted : [],
+        maxTokens,
+        part: index + 1,
+        parts: sections.length,
+        partOf,
+        version: versionLabel,
+        key: pageKey
+      });
+      return { ...part, content, anchors, tokens: countTokens(content), bytes: Buffer.byteLength(content) };
+    });
 
-/**
- * Determine if a URL is likely to be a documentation page
- * @param {string} url - URL to check
- * @returns {boolean} - Whether URL is likely a documentation page
- */
-function isLikelyDocPage(url) {
-  // Exclude patterns that are likely not documentation pages
-  const excludePatterns = [
-    '/download/',
-    '/releases/',
-    '/changelog/',
-    '/community/',
-    '/forum/',
-    '/contact/',
-    '/pricing/',
-    '/team/',
-    '/about/',
-    '/support/',
-    '/legal/',
-    '/terms/',
-    '/privacy/'
-  ];
-
-  // If URL contains any exclude pattern, it's not a doc page
-  if (excludePatterns.some(pattern => url.includes(pattern))) {
-    return false;
+    const oversized = parts.filter(part => part.tokens > (splitTokens || Infinity) || part.bytes > (splitBytes || Infinity));
+    if (oversized.length > 0) {
+      const message = `${oversized.length} part(s) are over the split limit because they hold a single page larger than the limit`;
+      logWarning(message);
+      warnings.push(message);
+    }
+    logInfo(`Split documentation into ${parts.length} parts`);
   }
 
-  // Otherwise, consider it a documentation page
-  return true;
-}
\ No newline at end of file
+  spinner.succeed('Documentation compilation complete');
+  logSuccess(`Successfully compiled documentation with ${included.length} pages, ${combinedContent.length} characters and ${tokens} tokens`);
+
+  return {
+    content: combinedContent,
+    parts,
+    pages: included,
+    scrapedPages: pages,
+    tokens,
+    condensed: condensed.map(({ url, title, tokens }) => ({ url, title, tokens })),
+    omitted: omitted.map(({ url, title, tokens }) => ({ url, title, tokens })),
+    skipped,
+    warnings,
+    verification,
+    version: versionLabel,
+    language,
+    pageKey
+  };
+}
@@ -92,6 +92,42 @@ export async function searchForDocumentation(projectName) {
   }
 }
 
+/**
+ * Pick the search result most likely to be the official documentation
+ * @param {Array<{title: string, url: string}>} results - Search results
+ * @param {string} projectName - Name of the project that was searched for
+ * @returns {{title: string, url: string}|null} - Best result, or null if there are none
+ */
+export function pickBestResult(results, projectName) {
+  const name = projectName.toLowerCase().replace(/[^a-z0-9]/g, '');
+  let best = null;
+  let bestScore = -Infinity;
+
+  results.forEach((result, index) => {
+    let hostname = '';
+    try {
+      hostname = new URL(result.url).hostname.toLowerCase();
+    } catch (e) {
+      return;
+    }
+
+    let score = 0;
+    // The project's own domain is the strongest signal
+    if (name && hostname.replace(/[^a-z0-9.]/g, '').includes(name)) score += 4;
+    if (name && result.title.toLowerCase().replace(/[^a-z0-9]/g, '').includes(name)) score += 1;
+    if (hostname.startsWith('docs.') || hostname.startsWith('developer.')) score += 2;
+    if (/\/(docs|documentation|guide|reference|api)(\/|$)/i.test(new URL(result.url).pathname)) score += 1;
+    // Prefer earlier results when scores tie
+    score -= index * 0.1;
+
+    if (score > bestScore) {
+      best = result;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
 
 /**
  * Check if a URL is likely to be documentation
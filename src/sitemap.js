@@ -0,0 +1,125 @@
+import * as cheerio from 'cheerio';
+import zlib from 'zlib';
+import {
+  logInfo,
+  logWarning,
+  logDebug
+} from './logger.js';
+
+// Upper bound on sitemap files fetched, so huge sitemap indexes can't stall the crawl
+const MAX_SITEMAPS = 50;
+
+/**
+ * Decode a sitemap response body, gunzipping it if needed
+ * @param {Buffer} data - Raw response body
+ * @returns {string} - Sitemap XML
+ */
+function decodeSitemap(data) {
+  const buffer = Buffer.from(data);
+  // Gzip magic number, regardless of what the URL or content-type claim
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse sitemap XML into page URLs and nested sitemap URLs
+ * @param {string} xml - Sitemap or sitemap index XML
+ * @returns {{pages: string[], sitemaps: string[]}} - Entries found in the document
+ */
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector)
+    .map((i, element) => $(element).text().trim())
+    .get()
+    .filter(Boolean);
+
+  return {
+    pages: locs('urlset > url > loc'),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+/**
+ * Get the sitemap URLs worth trying for a start URL
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {string[]} robotsSitemaps - Sitemap URLs listed in robots.txt
+ * @returns {string[]} - Candidate sitemap URLs, most authoritative first
+ */
+function candidateSitemaps(startUrl, robotsSitemaps) {
+  if (robotsSitemaps.length > 0) {
+    return robotsSitemaps;
+  }
+
+  // Docs sites served from a sub-path often keep their own sitemap there
+  const candidates = [
+    new URL('sitemap.xml', startUrl).href,
+    new URL('/sitemap.xml', startUrl).href,
+    new URL('/sitemap_index.xml', startUrl).href
+  ];
+  return Array.from(new Set(candidates));
+}
+
+/**
+ * Discover page URLs from a site's sitemaps, following sitemap indexes
+ * @param {string} startUrl - URL the crawl starts from
+ * @param {Object} http - HTTP client from createHttpClient
+ * @param {Object} robots - Robots policy from fetchRobotsPolicy
+ * @returns {Promise<string[]>} - Page URLs listed in the sitemaps
+ */
+export async function discoverSitemapUrls(startUrl, http, robots) {
+  const robotsSitemaps = robots.sitemaps;
+  const fetched = new Set();
+  const pages = new Set();
+
+  // Read one sitemap and everything its index points to
+  async function readSitemapTree(rootUrl) {
+    const queue = [rootUrl];
+
+    while (queue.length > 0) {
+      const sitemapUrl = queue.shift();
+      if (fetched.has(sitemapUrl)) continue;
+      if (fetched.size >= MAX_SITEMAPS) {
+        logWarning(`Stopped after reading ${MAX_SITEMAPS} sitemaps, some entries may be missing`);
+        return;
+      }
+      fetched.add(sitemapUrl);
+
+      try {
+        // Sitemaps are fetched like any other URL, so robots.txt rules apply to them too
+        if (!robots.isAllowed(sitemapUrl)) {
+          logDebug(`Not reading sitemap ${sitemapUrl}: disallowed by robots.txt`);
+          continue;
+        }
+
+        const response = await http.get(sitemapUrl, {
+          responseType: 'arraybuffer',
+          validateStatus: status => status < 400
+        });
+
+        const entries = parseSitemap(decodeSitemap(response.data));
+        logDebug(`Sitemap ${sitemapUrl} lists ${entries.pages.length} pages and ${entries.sitemaps.length} sitemaps`);
+
+        entries.pages.forEach(page => pages.add(page));
+        queue.push(...entries.sitemaps);
+      } catch (error) {
+        logDebug(`No usable sitemap at ${sitemapUrl}: ${error.message}`);
+      }
+    }
+  }
+
+  for (const candidate of candidateSitemaps(startUrl, robotsSitemaps)) {
+    if (fetched.size >= MAX_SITEMAPS) break;
+    await readSitemapTree(candidate);
+
+    // When guessing locations, the first one that works is enough
+    if (robotsSitemaps.length === 0 && pages.size > 0) break;
+  }
+
+  if (pages.size > 0) {
+    logInfo(`Found ${pages.size} URLs in ${fetched.size} sitemap(s)`);
+  }
+
+  return Array.from(pages);
+}
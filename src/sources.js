@@ -0,0 +1,105 @@
+import { URL } from 'url';
+import { mergeOptions } from './config.js';
+import { renderDocument } from './markdown.js';
+import { normalizePageUrl } from './navigation.js';
+import { countTokens } from './tokens.js';
+
+/**
+ * Ways of writing a multi-source build: one bundle with a section per source,
+ * or one output per source
+ */
+export const BUNDLE_MODES = ['single', 'per-source'];
+
+// Manifest keys that describe the whole build rather than how a source is scraped
+const BUILD_KEYS = ['project', 'sources', 'bundle', 'output', 'format', 'embeddings'];
+
+/**
+ * Check the sources of a project manifest
+ * @param {Object} config - Options from the config file
+ * @throws {Error} - If there are no sources, or a source has no name, a duplicate name or an invalid URL
+ */
+export function checkSources(config) {
+  const { sources } = config;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('The config file lists no sources to build: add a "sources" array of {"name", "url"} objects');
+  }
+
+  const names = new Set();
+  sources.forEach((source, i) => {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error(`Source ${i + 1} must be an object with a name and a url`);
+    }
+    if (typeof source.name !== 'string' || source.name.trim() === '') {
+      throw new Error(`Source ${i + 1} needs a name`);
+    }
+    const name = source.name.trim().toLowerCase();
+    if (names.has(name)) {
+      throw new Error(`Source names must be unique, "${source.name}" is used twice`);
+    }
+    names.add(name);
+
+    let url = null;
+    try {
+      url = new URL(source.url);
+    } catch (e) {
+      // Reported below
+    }
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      throw new Error(`Source "${source.name}" needs an http(s) url, got ${JSON.stringify(source.url)}`);
+    }
+  });
+
+  if (config.bundle !== undefined && !BUNDLE_MODES.includes(config.bundle)) {
+    throw new Error(`Invalid bundle mode ${JSON.stringify(config.bundle)}: use ${BUNDLE_MODES.join(' or ')}`);
+  }
+}
+
+/**
+ * Get the scraping options of one source: the manifest's shared options, then
+ * the source's own, then the command line's. Nested option groups (such as
+ * `ai`) are merged key by key, other values replace the shared ones.
+ * @param {Object} config - Options from the config file
+ * @param {Object} source - Source from the manifest's `sources`
+ * @param {Object} [cliOptions] - Options given on the command line
+ * @returns {Object} - Options for scrapeContent
+ */
+export function resolveSourceOptions(config, source, cliOptions = {}) {
+  const shared = Object.fromEntries(Object.entries(config).filter(([key]) => !BUILD_KEYS.includes(key)));
+  const { name, url, ...own } = source;
+  return mergeOptions(mergeOptions(shared, own), cliOptions);
+}
+
+/**
+ * Combine the scraped sources of a project into one bundle. Each source becomes
+ * a top-level section, with its pages nested below it as they are on its site,
+ * and links between the sources point at their sections too.
+ * @param {Array<{name: string, url: string, result: Object}>} sources - Every source with its URL and scrapeContent result
+ * @returns {{content: string, parts: Array<Object>, pages: Array<Object>, tokens: number, version: null, links: {internal: number, flagged: string[]}}} - Bundle in the shape writeOutput takes, its pages tagged with the name of their `source`
+ */
+export function renderBundle(sources) {
+  const pages = sources.flatMap(({ name, result }) => result.pages.map(page => {
+    const { level = 0, parents = [], title } = page.nav || {};
+    return { ...page, source: name, nav: { level: level + 1, parents: [name, ...parents], title } };
+  }));
+
+  // Each source tells its pages apart by its own canonical URLs. A URL gets the
+  // key of the source that has a page under it, else of the first source on its host.
+  const keys = sources.map(({ url, result }) => ({
+    host: new URL(url).hostname,
+    key: result.pageKey,
+    pages: new Set(result.pages.map(page => result.pageKey(page.url)))
+  }));
+  const key = url => {
+    const hostname = new URL(url).hostname;
+    const candidates = keys.filter(({ host }) => host === hostname).map(source => ({ ...source, found: source.key(url) }));
+    const owner = candidates.find(({ pages: owned, found }) => owned.has(found)) || candidates[0];
+    return owner ? owner.found : normalizePageUrl(url);
+  };
+
+  const { content, links } = renderDocument(sources[0].url, pages, {
+    sources: sources.map(({ name, url, result }) => ({ name, url, version: result.version })),
+    key
+  });
+
+  return { content, parts: [], pages, tokens: countTokens(content), version: null, links };
+}
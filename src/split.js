@@ -0,0 +1,155 @@
+import { URL } from 'url';
+import { countTokens } from './tokens.js';
+
+// Separators, list markup and table of contents entry around each page
+const PAGE_OVERHEAD_TOKENS = 8;
+const PAGE_OVERHEAD_BYTES = 32;
+
+/**
+ * Find the directory all pages live under
+ * @param {Array<Object>} pages - Pages with a url
+ * @returns {string[]} - Path segments of the shared directory
+ */
+function commonDirectory(pages) {
+  const directories = pages.map(page => new URL(page.url).pathname.split('/').slice(1, -1));
+  if (directories.length === 0) return [];
+
+  const common = [];
+  for (let i = 0; i < directories[0].length; i++) {
+    const segment = directories[0][i];
+    if (!directories.every(directory => directory[i] === segment)) break;
+    common.push(segment);
+  }
+  return common;
+}
+
+/**
+ * Group pages by the top-level section of the docs they belong to, which is the
+ * first directory below the directory all pages share. Sections keep the order
+ * in which their first page appears, and pages keep their order within a section.
+ * @param {Array<Object>} pages - Pages with url, title and content, in document order
+ * @param {Object} [options] - Grouping options
+ * @param {boolean} [options.contiguous] - Only group consecutive pages, so the page order is kept and a section can appear more than once
+ * @returns {Array<{name: string, path: string, pages: Array<Object>}>} - Sections in document order
+ */
+export function groupPagesBySection(pages, options = {}) {
+  const { contiguous = false } = options;
+  const root = commonDirectory(pages);
+  const sections = [];
+  const byName = new Map();
+
+  for (const page of pages) {
+    const segments = new URL(page.url).pathname.split('/').slice(root.length + 1);
+    // Pages directly in the shared directory form the root section
+    const name = segments.length > 1 ? segments[0] : '';
+    const last = sections[sections.length - 1];
+    let section = contiguous ? (last && last.key === name ? last : null) : byName.get(name);
+    if (!section) {
+      section = {
+        key: name,
+        name: name || 'Overview',
+        path: `/${[...root, name].filter(Boolean).join('/')}/`,
+        pages: []
+      };
+      sections.push(section);
+      byName.set(name, section);
+    }
+    section.pages.push(page);
+  }
+
+  return sections.map(({ key, ...section }) => section);
+}
+
+/**
+ * Split pages into parts that each stay under a token and/or byte limit.
+ * Parts only break between pages, and a section is moved to a fresh part
+ * rather than split when it fits in one part on its own. A page larger than
+ * the limit gets a part to itself.
+ * @param {Array<Object>} pages - Pages with url, title and content, in document order
+ * @param {Object} limits - Size limits per part
+ * @param {number} [limits.maxTokens] - Maximum tokens per part
+ * @param {number} [limits.maxBytes] - Maximum bytes per part
+ * @param {Object} [limits.reserved] - Tokens and bytes every part spends on its header
+ * @returns {Array<{sections: Array<{name: string, path: string, pages: Array<Object>}>}>} - Parts in order, with the sections (or pieces of sections) they contain
+ */
+export function splitIntoParts(pages, limits) {
+  const { maxTokens = Infinity, maxBytes = Infinity, reserved = { tokens: 0, bytes: 0 } } = limits;
+  const capacity = { tokens: maxTokens - reserved.tokens, bytes: maxBytes - reserved.bytes };
+
+  const sizeOf = page => ({
+    tokens: (page.tokens ?? countTokens(page.content)) + countTokens(page.title) * 2 + PAGE_OVERHEAD_TOKENS,
+    bytes: Buffer.byteLength(page.content) + Buffer.byteLength(page.title) * 2 + PAGE_OVERHEAD_BYTES
+  });
+  const fits = (used, size) => used.tokens + size.tokens <= capacity.tokens && used.bytes + size.bytes <= capacity.bytes;
+
+  const parts = [];
+  let part = null;
+  let used = null;
+  const startPart = () => {
+    part = { sections: [] };
+    used = { tokens: 0, bytes: 0 };
+    parts.push(part);
+  };
+
+  // Pages keep their order, so a section interrupted by another one continues in a new group
+  for (const section of groupPagesBySection(pages, { contiguous: true })) {
+    const sizes = section.pages.map(sizeOf);
+    const total = sizes.reduce((sum, size) => ({ tokens: sum.tokens + size.tokens, bytes: sum.bytes + size.bytes }), { tokens: 0, bytes: 0 });
+
+    // Keep a section together if moving it to a new part makes that possible
+    const empty = { tokens: 0, bytes: 0 };
+    if (!part || (part.sections.length > 0 && !fits(used, total) && fits(empty, total))) {
+      startPart();
+    }
+
+    let piece = null;
+    section.pages.forEach((page, index) => {
+      const size = sizes[index];
+      if (used.tokens + used.bytes > 0 && !fits(used, size)) {
+        startPart();
+        piece = null;
+      }
+      if (!piece) {
+        piece = { ...section, pages: [] };
+        part.sections.push(piece);
+      }
+      piece.pages.push(page);
+      used = { tokens: used.tokens + size.tokens, bytes: used.bytes + size.bytes };
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * Render the index of a split bundle, listing which sections and pages live in which part
+ * @param {string} startUrl - URL the documentation was scraped from
+ * @param {Array<{file: string, sections: Array<Object>, anchors: Object<string, string>, tokens: number, bytes: number}>} parts - Parts with the file each was written to and the anchor of every page in it
+ * @param {string|null} [version] - Documentation version the parts hold
+ * @returns {string} - Index markdown
+ */
+export function renderPartIndex(startUrl, parts, version = null) {
+  const lines = [
+    '# Documentation Index',
+    '',
+    `Automatically aggregated documentation from ${startUrl}, split into ${parts.length} parts.`,
+    ''
+  ];
+  if (version) {
+    lines.push(`Version: ${version}`, '');
+  }
+
+  parts.forEach((part, index) => {
+    lines.push(`## Part ${index + 1}: [${part.file}](${part.file})`, '');
+    lines.push(`${part.tokens} tokens, ${part.bytes} bytes`, '');
+    for (const section of part.sections) {
+      lines.push(`- ${section.name} (\`${section.path}\`)`);
+      for (const page of section.pages) {
+        lines.push(`  - [${page.title}](${part.file}#${part.anchors[page.url]})`);
+      }
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
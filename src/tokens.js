@@ -0,0 +1,17 @@
+import { getEncoding } from 'js-tiktoken';
+
+// Loading the encoding takes a moment, so it only happens on first use
+let encoding = null;
+
+/**
+ * Count the tokens in a piece of text using the o200k_base tokenizer
+ * @param {string} text - Text to count
+ * @returns {number} - Number of tokens
+ */
+export function countTokens(text) {
+  if (!encoding) {
+    encoding = getEncoding('o200k_base');
+  }
+  // Special-token markers in docs (e.g. "<|endoftext|>") are counted as plain text
+  return encoding.encode(text, [], []).length;
+}
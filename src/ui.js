@@ -3,10 +3,22 @@ import figlet from 'figlet';
 import logSymbols from 'log-symbols';
 import ora from 'ora';
 
+// When silent, nothing is written to the terminal (used by --json mode)
+let silent = false;
+
+/**
+ * Enable or disable all terminal output from the UI helpers
+ * @param {boolean} value - Whether to silence the UI
+ */
+export function setSilent(value) {
+  silent = value === true;
+}
+
 /**
  * Display a styled header for the application
  */
 export function displayHeader() {
+  if (silent) return;
   console.log(
     chalk.cyan(
       figlet.textSync('docs2context', {
@@ -28,7 +40,8 @@ export function createSpinner(text) {
   return ora({
     text,
     color: 'cyan',
-    spinner: 'dots'
+    spinner: 'dots',
+    isSilent: silent
   });
 }
 
@@ -37,14 +50,25 @@ export function createSpinner(text) {
  * @param {string} message - The message to display
  */
 export function displayInfo(message) {
+  if (silent) return;
   console.log(chalk.blue(message));
 }
 
+/**
+ * Display plain text, such as document content
+ * @param {string} text - The text to display
+ */
+export function displayText(text) {
+  if (silent) return;
+  console.log(text);
+}
+
 /**
  * Display a success message with consistent styling
  * @param {string} message - The message to display
  */
 export function displaySuccess(message) {
+  if (silent) return;
   console.log(logSymbols.success, chalk.green(message));
 }
 
@@ -53,6 +77,7 @@ export function displaySuccess(message) {
  * @param {string} message - The message to display
  */
 export function displayWarning(message) {
+  if (silent) return;
   console.log(logSymbols.warning, chalk.yellow(message));
 }
 
@@ -61,6 +86,7 @@ export function displayWarning(message) {
  * @param {string} message - The message to display
  */
 export function displayError(message) {
+  if (silent) return;
   console.log(logSymbols.error, chalk.red(message));
 }
 
@@ -0,0 +1,116 @@
+import { splitBlocks } from './chunker.js';
+
+// Share of identifiers or URLs the cleaner may drop (navigation links, repeated
+// sidebar entries) before the result is rejected
+const MAX_MISSING_RATIO = 0.2;
+
+// Code-like words in prose: dotted paths, camelCase, snake_case and calls
+const IDENTIFIER_PATTERNS = [
+  /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+\b/g,
+  /\b[a-z]+[A-Z][\w$]*\b/g,
+  /\b[a-z][a-z\d]*_[a-z\d_]+\b/g,
+  /\b[A-Za-z_$][\w$]*(?=\()/g
+];
+const URL_PATTERN = /https?:\/\/[^\s)<>\]"'`]+/g;
+const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+
+/**
+ * Get the body of a fenced code block, without its fences, for comparison.
+ * Trailing whitespace on each line is ignored, everything else must match exactly.
+ * @param {string} text - Code block including its fence lines
+ * @returns {string} - Normalized code body
+ */
+function codeBody(text) {
+  const lines = text.split('\n').slice(1);
+  const last = lines.length > 0 ? lines[lines.length - 1].trim() : '';
+  if (/^(`{3,}|~{3,})$/.test(last)) lines.pop();
+  return lines.map(line => line.trimEnd()).join('\n').trim();
+}
+
+/**
+ * Collect the pieces of a markdown document that cleaning must not change
+ * @param {string} markdown - Markdown to analyze
+ * @returns {{code: string[], prose: string, inlineCode: Set<string>, identifiers: Set<string>, urls: Set<string>}} - Facts about the document
+ */
+function analyze(markdown) {
+  const blocks = splitBlocks(markdown);
+  const code = blocks.filter(block => block.type === 'code').map(block => codeBody(block.text));
+  const prose = blocks.filter(block => block.type !== 'code').map(block => block.text).join('\n');
+
+  const inlineCode = new Set(Array.from(prose.matchAll(INLINE_CODE_PATTERN), match => match[1].trim()));
+  const identifiers = new Set(inlineCode);
+  for (const pattern of IDENTIFIER_PATTERNS) {
+    for (const match of prose.replace(URL_PATTERN, ' ').matchAll(pattern)) {
+      identifiers.add(match[0]);
+    }
+  }
+
+  // Trailing punctuation is usually sentence punctuation, not part of the URL
+  const urls = new Set(Array.from(markdown.matchAll(URL_PATTERN), match => match[0].replace(/[.,;:!?]+$/, '')));
+
+  return { code, prose, inlineCode, identifiers, urls };
+}
+
+/**
+ * Count the entries of one list that don't occur in another, as a multiset
+ * @param {string[]} expected - Entries that should be present
+ * @param {string[]} actual - Entries that are present
+ * @returns {number} - Number of expected entries without a match
+ */
+function countUnmatched(expected, actual) {
+  const remaining = new Map();
+  actual.forEach(item => remaining.set(item, (remaining.get(item) || 0) + 1));
+
+  let unmatched = 0;
+  for (const item of expected) {
+    const count = remaining.get(item) || 0;
+    if (count > 0) {
+      remaining.set(item, count - 1);
+    } else {
+      unmatched++;
+    }
+  }
+  return unmatched;
+}
+
+/**
+ * Compare markdown before and after AI cleaning and report anything the cleaner
+ * may have broken: changed, dropped or invented code blocks, invented inline code,
+ * and lost identifiers or URLs
+ * @param {string} original - Markdown sent to the cleaner
+ * @param {string} cleaned - Markdown returned by the cleaner
+ * @returns {{ok: boolean, issues: string[]}} - Whether the cleaned markdown can be trusted, and why not
+ */
+export function verifyCleaning(original, cleaned) {
+  const before = analyze(original);
+  const after = analyze(cleaned);
+  const issues = [];
+
+  const droppedCode = countUnmatched(before.code, after.code);
+  if (droppedCode > 0) {
+    issues.push(`${droppedCode} code block(s) changed or removed`);
+  }
+
+  const addedCode = countUnmatched(after.code, before.code);
+  if (addedCode > 0) {
+    issues.push(`${addedCode} code block(s) added`);
+  }
+
+  // Inline code that isn't in the original anywhere is an invented API
+  const inventedCode = Array.from(after.inlineCode).filter(code => !original.includes(code));
+  if (inventedCode.length > 0) {
+    issues.push(`new inline code not in the original: ${inventedCode.slice(0, 5).join(', ')}`);
+  }
+
+  const missingIdentifiers = Array.from(before.identifiers).filter(identifier => !cleaned.includes(identifier));
+  if (missingIdentifiers.length > before.identifiers.size * MAX_MISSING_RATIO) {
+    issues.push(`${missingIdentifiers.length} of ${before.identifiers.size} identifiers missing: ${missingIdentifiers.slice(0, 5).join(', ')}`);
+  }
+
+  const missingUrls = Array.from(before.urls).filter(url => !cleaned.includes(url));
+  if (missingUrls.length > before.urls.size * MAX_MISSING_RATIO) {
+    issues.push(`${missingUrls.length} of ${before.urls.size} URLs missing`);
+  }
+
+  return { ok: issues.length === 0, issues };
+}
@@ -0,0 +1,208 @@
+import { URL } from 'url';
+import { FRAMEWORKS, detectFramework } from './frameworks.js';
+import { logInfo, logWarning } from './logger.js';
+
+// Path segments that name a release: v2, 1.4, 3.x, 2.0.1
+const NUMBERED_VERSION = /^v?\d+(?:\.(?:\d+|x))*$/i;
+
+// Path segments that name a moving version
+const NAMED_VERSION = /^(latest|stable|current|next|dev|develop|main|master|nightly|canary|beta|unstable)$/i;
+
+// Version switchers of the built-in framework extractors
+const FRAMEWORK_SWITCHER_SELECTORS = FRAMEWORKS.filter(framework => framework.versions).map(framework => framework.versions);
+
+// Words of a class name or id that mark a version switcher
+const VERSION_WORD = /^versions?$/;
+
+/**
+ * Check whether an element's class or id names it for versions, as whole words:
+ * "version-switcher", "rst-versions" and "versionPicker", but not "conversion"
+ * or "versioning-guide"
+ * @param {import('cheerio').Element} element - Element to check
+ * @returns {boolean} - Whether a class or the id is about versions
+ */
+function isNamedForVersions(element) {
+  const names = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+  return names
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z\d]+/)
+    .some(word => VERSION_WORD.test(word));
+}
+
+// Generic version switchers: links and select options inside elements named for versions
+const GENERIC_SWITCHERS = [
+  $ => $('[class], [id]').filter((i, element) => isNamedForVersions(element)).find('a[href]'),
+  $ => $('select').filter((i, element) => isNamedForVersions(element)).find('option[value]')
+];
+
+/**
+ * Check whether a path segment names a documentation version
+ * @param {string|undefined} segment - Path segment
+ * @returns {boolean} - Whether it looks like a version
+ */
+function isVersionSegment(segment) {
+  return Boolean(segment) && (NUMBERED_VERSION.test(segment) || NAMED_VERSION.test(segment));
+}
+
+/**
+ * Split a URL path into its segments
+ * @param {string} url - Absolute URL
+ * @returns {string[]} - Path segments
+ */
+function pathSegments(url) {
+  return new URL(url).pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Check whether two segment lists share their first segments
+ * @param {string[]} a - First segment list
+ * @param {string[]} b - Second segment list
+ * @param {number} length - Number of segments to compare
+ * @returns {boolean} - Whether the first `length` segments are equal
+ */
+function samePrefix(a, b, length) {
+  return a.length >= length && b.length >= length && a.slice(0, length).every((segment, i) => segment === b[i]);
+}
+
+/**
+ * Read the links of a page's version switcher, using the framework's switcher
+ * markup when known and generic version menus otherwise
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL of the page
+ * @param {Object|null} [extractor] - Extractor of the page's framework, from detectFramework
+ * @returns {Array<{label: string, url: string}>} - Switcher entries on the docs' host
+ */
+function readSwitcher($, pageUrl, extractor = null) {
+  const host = new URL(pageUrl).host;
+  const selectors = [
+    ...(extractor && extractor.versions ? [extractor.versions] : []),
+    ...FRAMEWORK_SWITCHER_SELECTORS,
+    ...GENERIC_SWITCHERS
+  ];
+
+  for (const selector of selectors) {
+    const entries = [];
+    (typeof selector === 'function' ? selector($) : $(selector)).each((i, element) => {
+      const href = $(element).attr('href') || $(element).attr('value');
+      try {
+        const url = new URL(href, pageUrl);
+        url.hash = '';
+        if (url.host === host) {
+          entries.push({ label: $(element).text().replace(/\s+/g, ' ').trim(), url: url.href });
+        }
+      } catch (e) {
+        // Ignore unparseable links
+      }
+    });
+    if (entries.length > 0) return entries;
+  }
+
+  return [];
+}
+
+/**
+ * Detect the documentation versions a site hosts side by side, from version
+ * segments in the page's URL (/v2/, /3.x/, /latest/) and the links of its
+ * version switcher. All versions live at the same position in the path; one
+ * may have no segment of its own (such as Docusaurus' current version).
+ * @param {import('cheerio').CheerioAPI} $ - Parsed page
+ * @param {string} pageUrl - URL of the page
+ * @param {Object|null} [extractor] - Extractor of the page's framework, from detectFramework
+ * @returns {{current: Object|null, versions: Array<{label: string, segment: string|null, url: string, index: number, prefix: string[]}>}} - The page's version and every version found (none if the docs aren't versioned). `segment` is the version's path segment at position `index` after the shared `prefix`, null for a version without one.
+ */
+export function detectVersions($, pageUrl, extractor = null) {
+  const pageSegments = pathSegments(pageUrl);
+  const switcher = readSwitcher($, pageUrl, extractor).map(entry => ({ ...entry, segments: pathSegments(entry.url) }));
+
+  // The versions' position: the first version segment below a path shared with the page
+  const positions = [pageSegments, ...switcher.map(entry => entry.segments)].flatMap(segments => {
+    const index = segments.findIndex(isVersionSegment);
+    return index >= 0 && samePrefix(segments, pageSegments, index) ? [index] : [];
+  });
+  if (positions.length === 0) {
+    return { current: null, versions: [] };
+  }
+  const index = Math.min(...positions);
+  const prefix = pageSegments.slice(0, index);
+
+  const versions = [];
+  const addVersion = (label, url, segments) => {
+    const segment = isVersionSegment(segments[index]) ? segments[index] : null;
+    const existing = versions.find(version => version.segment === segment);
+    if (existing) {
+      if (!existing.label) existing.label = label;
+      return existing;
+    }
+    const version = { label, segment, url, index, prefix };
+    versions.push(version);
+    return version;
+  };
+
+  // The page's own version comes first, named by the switcher when it lists it
+  const current = addVersion('', pageUrl, pageSegments);
+  switcher
+    .filter(entry => samePrefix(entry.segments, pageSegments, index))
+    .forEach(entry => addVersion(entry.label, entry.url, entry.segments));
+  // Versions the switcher doesn't name go by their segment
+  versions.forEach(version => { version.label = version.label || version.segment || 'current'; });
+
+  return { current, versions };
+}
+
+/**
+ * Find a version by the name a user gave for it: its label or its path
+ * segment, ignoring case, a leading "v" and a trailing ".x"
+ * @param {Array<Object>} versions - Versions from detectVersions
+ * @param {string} name - Requested version
+ * @returns {Object|null} - Matching version, or null
+ */
+export function findVersion(versions, name) {
+  const normalize = value => String(value || '').trim().toLowerCase().replace(/^v(?=\d)/, '').replace(/\.x$/, '');
+  const wanted = normalize(name);
+  return versions.find(version => normalize(version.segment) === wanted) ||
+    versions.find(version => normalize(version.label) === wanted) ||
+    versions.find(version => normalize(version.label).split(' ')[0] === wanted) ||
+    null;
+}
+
+/**
+ * Check whether a URL belongs to a documentation version. URLs outside the
+ * versions' shared path always do; inside it, a version with a segment needs
+ * that segment, and a version without one excludes every other version's.
+ * @param {string} url - Absolute URL
+ * @param {Object} version - Version from detectVersions
+ * @returns {boolean} - Whether the URL is part of the version
+ */
+export function isInVersion(url, version) {
+  const segments = pathSegments(url);
+  if (!samePrefix(segments, version.prefix, version.prefix.length)) return true;
+
+  const segment = segments[version.index];
+  if (version.segment) return segment === version.segment;
+  return !isVersionSegment(segment);
+}
+
+/**
+ * Fetch a page and detect the documentation versions it offers
+ * @param {string} url - Page URL, usually the start URL
+ * @param {Object} crawl - Connection from openCrawl, so the page is fetched the way the crawl would and reused by it
+ * @param {Array<Object>} extractors - Extractors from createExtractors
+ * @returns {Promise<{current: Object|null, versions: Array<Object>}>} - Versions as detectVersions finds them, none if the page can't be fetched
+ */
+export async function discoverVersions(url, crawl, extractors) {
+  try {
+    const fetched = await crawl.fetchPage(url);
+    if (!fetched) return { current: null, versions: [] };
+    // Redirects were followed, so the page may live somewhere else
+    const { $, location } = fetched;
+    const detected = detectVersions($, location, detectFramework($, extractors));
+    if (detected.versions.length > 0) {
+      logInfo(`Found documentation versions at ${location}: ${detected.versions.map(version => version.label).join(', ')}`);
+    }
+    return detected;
+  } catch (error) {
+    logWarning(`Could not check ${url} for documentation versions: ${error.message}`);
+    return { current: null, versions: [] };
+  }
+}
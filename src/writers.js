@@ -0,0 +1,314 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { URL } from 'url';
+import { Marked } from 'marked';
+import { splitBlocks } from './chunker.js';
+import { hashContent } from './cache.js';
+import { projectSlug } from './docindex.js';
+import { groupPagesBySection, renderPartIndex } from './split.js';
+import { createSlugger } from './markdown.js';
+import { logInfo } from './logger.js';
+
+/**
+ * Supported output formats
+ */
+export const FORMATS = ['markdown', 'tree', 'jsonl', 'llms', 'html'];
+
+// Longest page description in llms.txt, in characters
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * Get where a format is written when no --output is given
+ * @param {string} format - One of FORMATS
+ * @param {string} projectName - Project name
+ * @returns {string} - File or directory path
+ */
+export function defaultOutputPath(format, projectName) {
+  const base = `output/${projectSlug(projectName)}`;
+  switch (format) {
+    case 'tree':
+      return `${base}-docs`;
+    case 'jsonl':
+      return `${base}-docs.jsonl`;
+    case 'llms':
+      return `${base}-llms`;
+    case 'html':
+      return `${base}-docs.html`;
+    default:
+      return `${base}-docs.md`;
+  }
+}
+
+/**
+ * Write a file, creating its directory first
+ * @param {string} file - File path
+ * @param {string} content - File content
+ */
+async function writeFile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+/**
+ * Turn a URL path segment into a file name: decoded where it can be, without
+ * path separators or characters file systems reject, and never `.` or `..`
+ * @param {string} segment - Path segment as it appears in the URL
+ * @returns {string} - File name
+ */
+function safeSegment(segment) {
+  let decoded = segment;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch (e) {
+    // Malformed escapes are kept as they are
+  }
+  const name = decoded.replace(/[/\\<>:"|?*\x00-\x1f]/g, '-');
+  return /^\.+$/.test(name) ? name.replace(/\./g, '-') : name;
+}
+
+/**
+ * Map a page URL to a relative markdown file path that mirrors the URL's path
+ * @param {string} url - Page URL
+ * @returns {string} - Relative file path
+ */
+function urlToFilePath(url) {
+  const { pathname, search } = new URL(url);
+  const segments = pathname
+    .split('/')
+    .filter(Boolean)
+    .map(safeSegment);
+
+  // Directory URLs become index files, page extensions become .md
+  let file = pathname.endsWith('/') || segments.length === 0
+    ? 'index'
+    : segments.pop().replace(/\.(html?|php|aspx?|jsp)$/i, '');
+  if (search) {
+    file += `-${hashContent(search).slice(0, 8)}`;
+  }
+  return path.join(...segments, `${file}.md`);
+}
+
+/**
+ * Find a short description of a page: the start of its first paragraph
+ * @param {string} content - Page markdown
+ * @returns {string} - Description, or an empty string if the page has no paragraph
+ */
+function describePage(content) {
+  // Skip the source line and paragraphs that are only links, such as breadcrumbs
+  const isProse = text => text.replace(/!?\[[^\]]*\]\([^)]*\)/g, '').replace(/[^\p{L}]/gu, '').length >= 20;
+  const paragraph = splitBlocks(content).find(block => block.type === 'text' && !block.text.startsWith('Source: ') && isProse(block.text));
+  if (!paragraph) return '';
+
+  const text = paragraph.text.replace(/\s+/g, ' ').trim();
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/);
+  const description = sentence ? sentence[0] : text;
+  return description.length > DESCRIPTION_LENGTH
+    ? `${description.slice(0, DESCRIPTION_LENGTH).replace(/\s+\S*$/, '')}...`
+    : description;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write the compiled documentation as one markdown file, or as parts plus an index when it was split
+ * @param {string} output - Markdown file path
+ * @param {Object} result - Result of scrapeContent
+ * @param {string} source - URL the documentation was scraped from
+ * @returns {Promise<{path: string, files: string[], parts: Array<Object>}>} - Written files
+ */
+async function writeMarkdown(output, result, source) {
+  if (result.parts.length === 0) {
+    await writeFile(output, result.content);
+    return { path: output, files: [output], parts: [] };
+  }
+
+  // Split output gets one file per part and an index pointing into them
+  const base = output.replace(/\.md$/i, '');
+  const parts = [];
+  for (const [index, part] of result.parts.entries()) {
+    const file = `${base}-part-${index + 1}.md`;
+    await writeFile(file, part.content);
+    parts.push({ file: path.basename(file), path: file, ...part });
+  }
+
+  const indexFile = `${base}-index.md`;
+  await writeFile(indexFile, renderPartIndex(source, parts, result.version));
+  return { path: indexFile, files: [indexFile, ...parts.map(part => part.path)], parts };
+}
+
+/**
+ * Write one markdown file per page in a directory tree mirroring the URL structure
+ * @param {string} output - Directory path
+ * @param {Array<Object>} pages - Pages to write
+ * @returns {Promise<{path: string, files: string[]}>} - Written files
+ */
+async function writeTree(output, pages) {
+  const files = [];
+  const used = new Set();
+
+  for (const page of pages) {
+    // Pages of a multi-source bundle go in a directory per source
+    let relative = page.source ? path.join(projectSlug(page.source), urlToFilePath(page.url)) : urlToFilePath(page.url);
+    // Different URLs can map to the same file (e.g. /guide/ and /guide/index.html)
+    for (let n = 2; used.has(relative); n++) {
+      relative = relative.replace(/(-\d+)?\.md$/, `-${n}.md`);
+    }
+    used.add(relative);
+
+    // Whatever the URL, nothing is written outside the output directory
+    const file = path.join(output, relative);
+    const outside = path.relative(path.resolve(output), path.resolve(file));
+    if (outside.startsWith('..') || path.isAbsolute(outside)) {
+      throw new Error(`Refusing to write ${page.url} outside ${output}`);
+    }
+    await writeFile(file, page.content);
+    files.push(file);
+  }
+
+  return { path: output, files };
+}
+
+/**
+ * Write one JSON record per page
+ * @param {string} output - JSONL file path
+ * @param {Array<Object>} pages - Pages to write
+ * @returns {Promise<{path: string, files: string[]}>} - Written files
+ */
+async function writeJsonl(output, pages) {
+  const lines = pages.map(page => JSON.stringify({
+    url: page.url,
+    source: page.source,
+    title: page.title,
+    markdown: page.content,
+    hash: hashContent(page.content),
+    breadcrumbs: page.breadcrumbs || [],
+    fetched_at: page.fetchedAt || null
+  }));
+  await writeFile(output, `${lines.join('\n')}\n`);
+  return { path: output, files: [output] };
+}
+
+/**
+ * Write llms.txt (a linked overview of the docs, see https://llmstxt.org) and
+ * llms-full.txt (the same header followed by every page in full)
+ * @param {string} output - Directory path
+ * @param {Array<Object>} pages - Pages to write
+ * @param {string} projectName - Project name
+ * @param {string} source - URL the documentation was scraped from
+ * @param {string|null} [version] - Documentation version the pages are from
+ * @returns {Promise<{path: string, files: string[]}>} - Written files
+ */
+async function writeLlms(output, pages, projectName, source, version = null) {
+  const header = `# ${projectName}\n\n> Documentation for ${projectName}${version ? ` version ${version}` : ''}, aggregated from ${source}`;
+
+  // A multi-source bundle gets a section per source
+  const groups = pages.some(page => page.source)
+    ? Array.from(new Set(pages.map(page => page.source)), name => ({ name, pages: pages.filter(page => page.source === name) }))
+    : groupPagesBySection(pages);
+  const sections = groups.map(section => {
+    const links = section.pages.map(page => {
+      const description = describePage(page.content);
+      return `- [${page.title}](${page.url})${description ? `: ${description}` : ''}`;
+    });
+    return `## ${section.name}\n\n${links.join('\n')}`;
+  });
+
+  const index = path.join(output, 'llms.txt');
+  const full = path.join(output, 'llms-full.txt');
+  await writeFile(index, `${[header, ...sections].join('\n\n')}\n`);
+  await writeFile(full, `${[header, ...pages.map(page => page.content)].join('\n\n---\n\n')}\n`);
+  return { path: output, files: [index, full] };
+}
+
+/**
+ * Write the compiled documentation as a standalone HTML file
+ * @param {string} output - HTML file path
+ * @param {string} content - Compiled markdown
+ * @param {string} projectName - Project name
+ * @returns {Promise<{path: string, files: string[]}>} - Written files
+ */
+async function writeHtml(output, content, projectName) {
+  // Give headings the same ids as the markdown anchors, so table of contents links work
+  const slug = createSlugger();
+  const markdown = new Marked({
+    renderer: {
+      heading({ tokens, depth, text }) {
+        return `<h${depth} id="${slug(text)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(projectName)} documentation</title>
+<style>
+body { max-width: 50rem; margin: 2rem auto; padding: 0 1rem; font: 16px/1.6 system-ui, sans-serif; color: #1f2328; }
+pre { padding: 1rem; overflow-x: auto; background: #f6f8fa; border-radius: 6px; }
+code { font-family: ui-monospace, monospace; font-size: 0.9em; }
+table { border-collapse: collapse; }
+th, td { padding: 0.25rem 0.75rem; border: 1px solid #d0d7de; }
+hr { margin: 3rem 0; border: 0; border-top: 1px solid #d0d7de; }
+</style>
+</head>
+<body>
+${markdown.parse(content)}
+</body>
+</html>
+`;
+  await writeFile(output, html);
+  return { path: output, files: [output] };
+}
+
+/**
+ * Write scraped documentation in the requested format
+ * @param {string} format - One of FORMATS
+ * @param {Object} result - Result of scrapeContent
+ * @param {Object} options - Output options
+ * @param {string} options.projectName - Project name
+ * @param {string} options.source - URL the documentation was scraped from
+ * @param {string} [options.output] - File or directory to write to (default depends on the format)
+ * @returns {Promise<{path: string, files: string[], parts: Array<Object>}>} - Main output path, every file written and the parts of a split markdown bundle
+ * @throws {Error} - If the format is unknown or a file can't be written
+ */
+export async function writeOutput(format, result, options) {
+  const { projectName, source } = options;
+  const output = options.output || defaultOutputPath(format, projectName);
+
+  let written;
+  switch (format) {
+    case 'markdown':
+      written = await writeMarkdown(output, result, source);
+      break;
+    case 'tree':
+      written = await writeTree(output, result.pages);
+      break;
+    case 'jsonl':
+      written = await writeJsonl(output, result.pages);
+      break;
+    case 'llms':
+      written = await writeLlms(output, result.pages, projectName, source, result.version);
+      break;
+    case 'html':
+      written = await writeHtml(output, result.content, projectName);
+      break;
+    default:
+      throw new Error(`Unknown output format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  logInfo(`Wrote ${written.files.length} ${format} files to ${written.path}`);
+  return { parts: [], ...written };
+}
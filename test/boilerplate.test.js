@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeBoilerplate } from '../src/boilerplate.js';
+
+const HEADER = '- [Home](https://example.com/)\n- [Guide](https://example.com/guide/)\n- [API](https://example.com/api/)';
+const FOOTER = 'Copyright 2024 Example Inc. All rights reserved.';
+
+/**
+ * Make an API reference page with the same section labels as every other one
+ * @param {string} name - Method name
+ * @returns {{url: string, title: string, content: string}} - Page
+ */
+function methodPage(name) {
+  return {
+    url: `https://example.com/api/${name}`,
+    title: name,
+    content: [
+      `# ${name}`,
+      `Source: https://example.com/api/${name}`,
+      HEADER,
+      `Calls ${name} on the input and hands back nothing at all.`,
+      '## Parameters',
+      '**Parameters**',
+      '- `a` the input',
+      '**Returns**',
+      'None',
+      '**Example**',
+      `\`\`\`js\n${name}(a);\n\`\`\``,
+      FOOTER
+    ].join('\n\n')
+  };
+}
+
+test('removes repeated headers and footers but keeps repeated section labels', () => {
+  const pages = ['alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta'].map(methodPage);
+  const result = removeBoilerplate(pages);
+
+  assert.equal(result.pages, 6);
+  for (const page of pages) {
+    assert.ok(!page.content.includes('[Home]'), 'menu is removed');
+    assert.ok(!page.content.includes(FOOTER), 'footer is removed');
+    for (const label of ['## Parameters', '**Parameters**', '- `a` the input', '**Returns**', '\n\nNone\n\n', '**Example**']) {
+      assert.ok(page.content.includes(label), `${label.trim()} is kept`);
+    }
+    assert.ok(page.content.startsWith(`# ${page.title}\n\nSource: `));
+  }
+});
+
+test('keeps repeated paragraphs in the middle of pages', () => {
+  const note = 'This method is safe to call from any thread in the process.';
+  const pages = ['one', 'two', 'three', 'four'].map(name => ({
+    url: `https://example.com/api/${name}`,
+    title: name,
+    content: `# ${name}\n\nSource: https://example.com/api/${name}\n\nWhat ${name} does, in a sentence of its own.\n\n${note}\n\nMore about ${name} after the note.`
+  }));
+  const before = pages.map(page => page.content);
+
+  assert.equal(removeBoilerplate(pages).pages, 0);
+  assert.deepEqual(pages.map(page => page.content), before);
+});
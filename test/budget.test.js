@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { condensePage, countInboundLinks, fitToBudget } from '../src/budget.js';
+import { countTokens } from '../src/tokens.js';
+
+const PROSE = 'This sentence explains one more detail of the feature at some length. ';
+
+/**
+ * Make a page with a heading per section
+ * @param {string} url - Page URL
+ * @param {number} sections - Number of sections
+ * @returns {Object} - Page
+ */
+function page(url, sections) {
+  const body = Array.from({ length: sections }, (_, i) => `## Part ${i + 1}\n\n${PROSE.repeat(8)}\n\n\`\`\`js\nconsole.log(${i});\n\`\`\``);
+  return { url, title: url.split('/').pop(), content: `# Page\n\n${body.join('\n\n')}` };
+}
+
+test('inbound links are counted once per linking page, whatever URL form they use', () => {
+  const pages = [{ url: 'https://x.com/docs/a' }, { url: 'https://x.com/docs/b/' }];
+  const links = new Map([
+    ['https://x.com/docs/a', ['https://x.com/docs/b', 'https://x.com/docs/b/', 'https://x.com/docs/a']],
+    ['https://x.com/docs/c', ['https://x.com/docs/b#usage', 'https://x.com/docs/a']]
+  ]);
+  const key = url => url.replace(/#.*$/, '').replace(/\/$/, '');
+  const counts = countInboundLinks(pages, links, key);
+  assert.equal(counts.get('https://x.com/docs/a'), 1);
+  assert.equal(counts.get('https://x.com/docs/b/'), 2);
+});
+
+test('a condensed page keeps its headings and first sentences but no code', () => {
+  const condensed = condensePage(page('https://x.com/docs/a', 2).content);
+  assert.match(condensed, /^# Page/);
+  assert.match(condensed, /## Part 2/);
+  assert.doesNotMatch(condensed, /console\.log/);
+  assert.match(condensed, /Condensed to fit the token budget/);
+  assert.ok(countTokens(condensed) < countTokens(page('https://x.com/docs/a', 2).content) / 2);
+});
+
+test('pages are kept whole, condensed or omitted to fit the budget', () => {
+  const pages = [
+    page('https://x.com/docs/reference', 6),
+    page('https://x.com/docs/popular', 6),
+    page('https://x.com/docs/intro', 6)
+  ];
+  const full = countTokens(pages[0].content);
+  const inbound = new Map([['https://x.com/docs/popular', 5]]);
+
+  const everything = fitToBudget(pages, full * 10, { inbound });
+  assert.equal(everything.pages.length, 3);
+  assert.deepEqual([everything.condensed.length, everything.omitted.length], [0, 0]);
+
+  // Room for one whole page and one outline: the intro page ranks first, then the most linked one
+  const outline = countTokens(condensePage(pages[0].content));
+  const fitted = fitToBudget(pages, full + outline + 100, { inbound });
+  assert.deepEqual(fitted.pages.map(({ url }) => url), ['https://x.com/docs/popular', 'https://x.com/docs/intro']);
+  assert.deepEqual(fitted.condensed.map(({ url }) => url), ['https://x.com/docs/popular']);
+  assert.deepEqual(fitted.omitted.map(({ url }) => url), ['https://x.com/docs/reference']);
+  assert.equal(fitted.pages[1].content, pages[2].content);
+
+  const none = fitToBudget(pages, 50, { inbound });
+  assert.deepEqual([none.pages.length, none.omitted.length], [0, 3]);
+});
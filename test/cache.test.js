@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createPageCache } from '../src/cache.js';
+import { openCrawl } from '../src/scraper.js';
+import { setSilent } from '../src/ui.js';
+import { setConsoleLogging } from '../src/logger.js';
+
+setSilent(true);
+setConsoleLogging(false);
+
+const PAGE = '<html><head><title>Guide</title></head><body><main><h1>Guide</h1><p>Install it.</p></main></body></html>';
+
+/**
+ * Run a test against a docs server that answers conditional requests
+ * @param {function(string, Array<Object>, Object, string): Promise<void>} run - Receives the start URL, the headers of every page request, the server state and a data directory
+ */
+async function withServer(run) {
+  const requests = [];
+  const state = { etag: '"v1"', body: PAGE };
+  const server = http.createServer((request, response) => {
+    if (request.url === '/robots.txt') {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    requests.push(request.headers);
+    if (state.etag && request.headers['if-none-match'] === state.etag) {
+      response.writeHead(304);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/html', ...(state.etag ? { ETag: state.etag } : {}) });
+    response.end(state.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-cache-'));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/docs/`, requests, state, dataDir);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+test('cache entries are read back for their URL unless refreshing', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-cache-'));
+  try {
+    const cache = createPageCache({ dir });
+    await cache.set('https://x.com/docs/', { etag: '"a"', body: 'page' });
+    assert.equal((await cache.get('https://x.com/docs/')).etag, '"a"');
+    assert.equal(await cache.get('https://x.com/docs/other'), null);
+    assert.equal(await createPageCache({ dir, refresh: true }).get('https://x.com/docs/'), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('cached pages are revalidated and reused when the server answers 304', async () => {
+  await withServer(async (url, requests, state, dataDir) => {
+    const first = await (await openCrawl(url, { dataDir })).fetchPage(url);
+    assert.equal(first.unchanged, false);
+    assert.equal(first.entry.etag, '"v1"');
+    assert.equal(requests[0]['if-none-match'], undefined);
+
+    // What an earlier run extracted and cleaned is kept with the page
+    const crawl = await openCrawl(url, { dataDir });
+    await crawl.cache.set(url, { ...first.entry, page: { title: 'Guide' }, cleaned: 'cleaned' });
+    const second = await crawl.fetchPage(url);
+    assert.equal(requests[1]['if-none-match'], '"v1"');
+    assert.equal(second.unchanged, true);
+    assert.equal(second.entry.cleaned, 'cleaned');
+    assert.equal(second.$('h1').text(), 'Guide');
+
+    const refreshed = await (await openCrawl(url, { dataDir, refresh: true })).fetchPage(url);
+    assert.equal(requests[2]['if-none-match'], undefined);
+    assert.equal(refreshed.unchanged, false);
+  });
+});
+
+test('a page served again without validators counts as unchanged only if its body is', async () => {
+  await withServer(async (url, requests, state, dataDir) => {
+    state.etag = null;
+    const crawl = await openCrawl(url, { dataDir });
+    const first = await crawl.fetchPage(url);
+    await crawl.cache.set(url, { ...first.entry, cleaned: 'cleaned' });
+
+    const same = await crawl.fetchPage(url);
+    assert.equal(same.unchanged, true);
+    assert.equal(same.entry.cleaned, 'cleaned');
+
+    state.body = PAGE.replace('Install it.', 'Install it first.');
+    const changed = await crawl.fetchPage(url);
+    assert.equal(changed.unchanged, false);
+    assert.equal(changed.entry.cleaned, null);
+  });
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHtml } from '../src/extract.js';
+import { createUrlCanonicalizer, extractCanonicalUrl, fingerprintContent } from '../src/canonical.js';
+
+test('the URLs a page is linked by share one key', () => {
+  const { canonicalize, key } = createUrlCanonicalizer('https://example.com/docs/');
+  const page = key('https://example.com/docs/guide');
+  for (const url of [
+    'https://example.com/docs/guide/',
+    'https://example.com/docs/guide/index.html',
+    'https://example.com/docs//guide#install',
+    'http://example.com/docs/guide?utm_source=news&tab=npm'
+  ]) {
+    assert.equal(key(url), page, url);
+  }
+  assert.equal(canonicalize('https://example.com/docs/guide/index.html'), 'https://example.com/docs/guide/');
+  assert.equal(key('https://example.com/'), 'https://example.com/');
+  assert.equal(canonicalize('mailto:docs@example.com'), null);
+  assert.equal(canonicalize('http://other.com/docs/'), 'http://other.com/docs/');
+});
+
+test('query parameters are dropped, kept or filtered by name', () => {
+  const url = 'https://example.com/docs/list?page=2&id=7&sort=asc&utm_campaign=x';
+  assert.equal(createUrlCanonicalizer(url).canonicalize(url), 'https://example.com/docs/list');
+  assert.equal(createUrlCanonicalizer(url, { queryParams: 'keep' }).canonicalize(url), 'https://example.com/docs/list?id=7&page=2&sort=asc');
+  assert.equal(createUrlCanonicalizer(url, { queryParams: ['page', 'id'] }).canonicalize(url), 'https://example.com/docs/list?id=7&page=2');
+  assert.throws(() => createUrlCanonicalizer(url, { queryParams: 'some' }), /Invalid query parameter setting/);
+  assert.throws(() => createUrlCanonicalizer(url, { queryParams: [] }), /Invalid query parameter setting/);
+});
+
+test('the canonical link of a page is resolved against its URL', () => {
+  const $ = loadHtml('<html><head><link rel="Canonical" href="../guide/"></head><body></body></html>');
+  assert.equal(extractCanonicalUrl($, 'https://example.com/docs/old/page'), 'https://example.com/docs/guide/');
+  assert.equal(extractCanonicalUrl(loadHtml('<html><head></head></html>'), 'https://example.com/docs/'), null);
+});
+
+test('copies of a page differing only in location and formatting match', () => {
+  const original = '# Guide\n\nSource: https://example.com/docs/guide\n\nRun **npm install**, then see [setup](./setup).';
+  const copy = '# Guide (mirror)\n\nSource: https://example.com/v1/guide\n\nrun npm install -- then see [Setup](https://example.com/v1/setup)';
+  assert.equal(fingerprintContent(copy), fingerprintContent(original));
+  assert.notEqual(fingerprintContent(original.replace('npm install', 'yarn')), fingerprintContent(original));
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCheckpointer, loadCheckpoint, scopeMismatch } from '../src/checkpoint.js';
+
+const START_URL = 'https://example.com/docs/';
+
+test('a saved checkpoint is loaded for its start URL until it is removed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-checkpoint-'));
+  try {
+    const checkpoint = createCheckpointer(START_URL, () => ({ completed: [START_URL] }), { dir });
+    await checkpoint.save();
+
+    const saved = await loadCheckpoint(START_URL, dir);
+    assert.deepEqual(saved.completed, [START_URL]);
+    assert.equal(await loadCheckpoint('https://example.com/api/', dir), null);
+
+    await checkpoint.remove();
+    assert.equal(await loadCheckpoint(START_URL, dir), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a checkpoint saved with other scope options is not resumed', () => {
+  const scope = { lang: 'en', version: null, prefix: '/docs/', include: [], exclude: ['**/changelog'], queryParams: 'drop' };
+  assert.deepEqual(scopeMismatch({ scope }, { ...scope }), []);
+  assert.deepEqual(scopeMismatch({ scope }, { ...scope, lang: 'ja', exclude: [] }), ['lang', 'exclude']);
+  assert.deepEqual(scopeMismatch({ scope: { ...scope, prefix: null } }, scope), ['prefix']);
+  assert.deepEqual(scopeMismatch({}, { prefix: '/docs/' }), ['prefix']);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkMarkdown, splitBlocks } from '../src/chunker.js';
+import { cleanMarkdownWithAI } from '../src/cleaner.js';
+import { countTokens } from '../src/tokens.js';
+import { setConsoleLogging } from '../src/logger.js';
+
+setConsoleLogging(false);
+
+const PROSE = 'Each option changes how the crawler behaves when it meets a page. ';
+
+/**
+ * Make a page with a section per heading
+ * @param {number} sections - Number of sections
+ * @returns {string} - Markdown
+ */
+function longPage(sections) {
+  return Array.from({ length: sections }, (_, i) => `## Section ${i + 1}\n\n${PROSE.repeat(6)}\n\n\`\`\`sh\nrun --step ${i + 1}\n\`\`\``).join('\n\n');
+}
+
+test('headings inside code fences are not block boundaries', () => {
+  const blocks = splitBlocks('# Title\n\nText\n\n```md\n# not a heading\n\nstill code\n```\n\nMore');
+  assert.deepEqual(blocks.map(block => block.type), ['heading', 'text', 'code', 'text']);
+  assert.equal(blocks[2].text, '```md\n# not a heading\n\nstill code\n```');
+});
+
+test('oversized pages are chunked at headings under the token limit', () => {
+  const markdown = longPage(8);
+  assert.deepEqual(chunkMarkdown(markdown, countTokens(markdown)), [markdown]);
+
+  const maxTokens = 250;
+  const chunks = chunkMarkdown(markdown, maxTokens);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk) <= maxTokens, `chunk of ${countTokens(chunk)} tokens`);
+    assert.match(chunk, /^## Section \d+/);
+  }
+  assert.equal(chunks.join('\n\n'), markdown);
+});
+
+test('a code block larger than a chunk is split into valid fenced pieces', () => {
+  const lines = Array.from({ length: 200 }, (_, i) => `console.log('line ${i}');`);
+  const chunks = chunkMarkdown(`\`\`\`js\n${lines.join('\n')}\n\`\`\``, 200);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.match(chunk, /^```js\n[\s\S]+\n```$/);
+  }
+  assert.deepEqual(chunks.flatMap(chunk => chunk.split('\n').slice(1, -1)), lines);
+});
+
+test('chunks are cleaned one by one and stitched back in order', async () => {
+  const markdown = longPage(8);
+  const seen = [];
+  const provider = {
+    model: 'test',
+    maxTokens: 300,
+    async complete({ user }) {
+      const chunk = user.split('Here\'s the content to clean:\n')[1].split('\n\nPlease return ONLY')[0];
+      seen.push(user.match(/This is part (\d+) of (\d+)/).slice(1).map(Number));
+      return { content: chunk.trim(), truncated: false };
+    }
+  };
+
+  const { content, verification } = await cleanMarkdownWithAI(provider, markdown, 'Page', 'https://x.com/docs/page');
+  assert.equal(content, markdown);
+  assert.equal(verification.status, 'passed');
+  assert.ok(verification.chunks > 1);
+  assert.deepEqual(seen, Array.from({ length: verification.chunks }, (_, i) => [i + 1, verification.chunks]));
+});
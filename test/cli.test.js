@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BIN = fileURLToPath(new URL('../bin/docs2context.js', import.meta.url));
+
+/**
+ * Run the CLI without a terminal in a directory of its own
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<{code: number, stdout: string}>} - Exit code and standard output
+ */
+async function run(args) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-cli-'));
+  try {
+    return await new Promise(resolve => {
+      const child = execFile(process.execPath, [BIN, ...args], { cwd, timeout: 30000 }, (error, stdout) => {
+        resolve({ code: error ? error.code : 0, stdout });
+      });
+      child.stdin.end();
+    });
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+}
+
+test('without a terminal the CLI exits with a usage error instead of prompting', async () => {
+  const { code } = await run(['acme', '-u', 'https://x.com/docs/', '--disable-ai']);
+  assert.equal(code, 2);
+});
+
+test('--json reports usage errors as JSON', async () => {
+  const config = path.join(os.tmpdir(), `docs2context-cli-${process.pid}.json`);
+  await fs.writeFile(config, '{ not json');
+  try {
+    for (const args of [['acme', '--config', config, '--json'], ['build', '--config', config, '--json'], ['search', 'acme', 'proxy', '--config', config, '--json']]) {
+      const { code, stdout } = await run(args);
+      assert.equal(code, 2, args.join(' '));
+      const result = JSON.parse(stdout);
+      assert.equal(result.ok, false);
+      assert.equal(result.exitCode, 2);
+      assert.match(result.error, /Invalid JSON in config file/);
+    }
+  } finally {
+    await fs.rm(config, { force: true });
+  }
+
+  const { code, stdout } = await run(['acme', '-u', 'https://x.com/docs/', '--disable-ai', '--json', '--lang', 'not a locale']);
+  assert.equal(code, 2);
+  assert.deepEqual(Object.keys(JSON.parse(stdout)), ['ok', 'exitCode', 'project', 'error']);
+});
+
+test('searching a project that was never scraped exits with not found', async () => {
+  const { code, stdout } = await run(['search', 'acme', 'proxy', '--json']);
+  assert.equal(code, 3);
+  assert.equal(JSON.parse(stdout).ok, false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { NodeHtmlMarkdown } from 'node-html-markdown';
+import { extractCodeBlocks, restoreCodeBlocks } from '../src/code.js';
+
+const nhm = new NodeHtmlMarkdown();
+
+/**
+ * Convert HTML to markdown the way page extraction does
+ * @param {string} html - Page content
+ * @returns {string} - Markdown
+ */
+function convert(html) {
+  const $ = cheerio.load(`<main>${html}</main>`);
+  const container = $('main');
+  const blocks = extractCodeBlocks($, container);
+  return restoreCodeBlocks(nhm.translate(container.html()), blocks);
+}
+
+test('keeps code blocks inside blockquotes in the quote', () => {
+  const markdown = convert('<blockquote><p>Install it:</p><pre><code class="language-sh">npm install\n\nnpm test</code></pre></blockquote>');
+  assert.equal(markdown, '> Install it:\n> \n> ```sh\n> npm install\n>\n> npm test\n> ```');
+});
+
+test('indents code blocks continuing a list item to the item content', () => {
+  const markdown = convert('<ol><li><p>Step one</p><pre><code class="language-sh">npm install</code></pre></li><li><p>Step two</p></li></ol>');
+  assert.match(markdown, /^1\. Step one {2}\n {3}```sh\n {3}npm install\n {3}```\n2\. Step two/);
+});
+
+test('indents code blocks in list items nested in a blockquote', () => {
+  const markdown = convert('<blockquote><ul><li><p>Run</p><pre><code>make\nmake test</code></pre></li></ul></blockquote>');
+  assert.match(markdown, /> \* Run {2}\n> {3}```\n> {3}make\n> {3}make test\n> {3}```/);
+});
+
+test('leaves top-level code blocks unindented', () => {
+  assert.equal(convert('<p>Run:</p><pre><code class="language-js">run();</code></pre>'), 'Run:\n\n```js\nrun();\n```');
+});
+
+test('turns code blocks in table cells into inline code on their row', () => {
+  const markdown = convert('<table><tr><th>Command</th><th>Does</th></tr><tr><td><pre><code>a | b\nnpm test</code></pre></td><td>Runs</td></tr></table>');
+  assert.doesNotMatch(markdown, /D2CCODEBLOCK/);
+  assert.match(markdown, /\| `a \\\| b`<br>`npm test` +\| Runs \|/);
+});
+
+test('restores code blocks whose placeholder shares its line with text', () => {
+  const markdown = restoreCodeBlocks('Run D2CCODEBLOCK0X first', [{ language: 'sh', code: 'make', inline: false }]);
+  assert.equal(markdown, 'Run\n```sh\nmake\n```\nfirst');
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig, DEFAULT_DATA_DIR } from '../src/config.js';
+
+test('data and cache directories are resolved against the config file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-config-'));
+  try {
+    const file = path.join(dir, 'docs2context.config.json');
+
+    await fs.writeFile(file, JSON.stringify({ maxPages: 5 }));
+    assert.equal((await loadConfig(file)).dataDir, path.join(dir, DEFAULT_DATA_DIR));
+
+    await fs.writeFile(file, JSON.stringify({ dataDir: 'data', cacheDir: '../cache' }));
+    const config = await loadConfig(file);
+    assert.equal(config.dataDir, path.join(dir, 'data'));
+    assert.equal(config.cacheDir, path.resolve(dir, '../cache'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
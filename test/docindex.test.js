@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildIndex, chunkPages, listIndexes, loadIndex, searchIndex } from '../src/docindex.js';
+import { setConsoleLogging } from '../src/logger.js';
+
+setConsoleLogging(false);
+
+const PAGES = [
+  {
+    url: 'https://x.com/docs/network',
+    title: 'Network',
+    content: '# Network\n\nSource: https://x.com/docs/network\n\n## Proxies\n\nSet `proxy` to route requests through a proxy server.\n\n### Authentication\n\nProxy credentials go in the proxy URL.\n\n## Timeouts\n\n'
+  },
+  {
+    url: 'https://x.com/docs/cache',
+    title: 'Cache',
+    content: '# Cache\n\nSource: https://x.com/docs/cache\n\nResponses are cached on disk and revalidated with ETags.'
+  }
+];
+
+/**
+ * Make an embedder that places texts by the words they contain
+ * @param {boolean} [fail] - Whether embedding fails, as when offline
+ * @returns {Object} - Embedder
+ */
+function fakeEmbedder(fail = false) {
+  return {
+    name: 'fake',
+    model: 'fake-embed',
+    async embed(texts) {
+      if (fail) throw new Error('connect ECONNREFUSED');
+      return texts.map(text => ['proxy', 'cache', 'disk'].map(word => (text.toLowerCase().includes(word) ? 1 : 0)));
+    }
+  };
+}
+
+test('pages are chunked by section with the headings above each chunk', () => {
+  const chunks = chunkPages(PAGES);
+  assert.deepEqual(chunks.map(({ url, headings }) => [url, headings]), [
+    ['https://x.com/docs/network', ['Network', 'Proxies']],
+    ['https://x.com/docs/network', ['Network', 'Proxies', 'Authentication']],
+    ['https://x.com/docs/cache', ['Cache']]
+  ]);
+  assert.ok(chunks.every(chunk => !chunk.text.includes('Source: ')));
+  assert.equal(new Set(chunks.map(chunk => chunk.id)).size, chunks.length);
+});
+
+test('an index is written, listed and searched by keyword', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-index-'));
+  try {
+    const built = await buildIndex('My Lib', 'https://x.com/docs/', PAGES, { dir });
+    assert.deepEqual([built.file, built.chunks, built.embedded], [path.join(dir, 'my-lib.json'), 3, false]);
+
+    const [listed] = await listIndexes(dir);
+    assert.deepEqual([listed.project, listed.pages, listed.chunks, listed.embedded], ['My Lib', 2, 3, false]);
+    assert.equal(await loadIndex('Other', dir), null);
+
+    const index = await loadIndex('My Lib', dir);
+    const { mode, results } = await searchIndex(index, 'proxy credentials');
+    assert.equal(mode, 'keyword');
+    assert.deepEqual(results.map(result => result.headings.at(-1)), ['Authentication', 'Proxies']);
+    assert.deepEqual((await searchIndex(index, 'proxy', { limit: 1 })).results.length, 1);
+    assert.deepEqual((await searchIndex(index, 'kubernetes')).results, []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('embeddings are combined with keywords, and keyword search works without them', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-index-'));
+  try {
+    const built = await buildIndex('lib', 'https://x.com/docs/', PAGES, { dir, embedder: fakeEmbedder() });
+    assert.equal(built.embedded, true);
+    const index = await loadIndex('lib', dir);
+    assert.equal(index.embedding.model, 'fake-embed');
+
+    const hybrid = await searchIndex(index, 'disk', { embedder: fakeEmbedder() });
+    assert.equal(hybrid.mode, 'hybrid');
+    assert.equal(hybrid.results[0].url, 'https://x.com/docs/cache');
+    assert.ok(hybrid.results[0].score < 1);
+
+    const offline = await searchIndex(index, 'disk', { embedder: fakeEmbedder(true) });
+    assert.equal(offline.mode, 'keyword');
+    assert.equal(offline.results[0].url, 'https://x.com/docs/cache');
+
+    const failed = await buildIndex('lib', 'https://x.com/docs/', PAGES, { dir, embedder: fakeEmbedder(true) });
+    assert.equal(failed.embedded, false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHtml, extractPageContent } from '../src/extract.js';
+
+const FILLER = '<p>This paragraph is here so the page has enough content to count as documentation.</p>';
+
+/**
+ * Extract a page whose <main> holds the given HTML
+ * @param {string} html - Content of the page
+ * @returns {string} - Extracted markdown
+ */
+function extract(html) {
+  const $ = loadHtml(`<html><head><title>Page</title></head><body><main>${html}${FILLER}</main></body></html>`);
+  return extractPageContent($, 'https://example.com/docs/page').content;
+}
+
+test('keeps sections named for cookies and drops consent banners', () => {
+  const content = extract(`
+    <div id="onetrust-banner-sdk"><p>We use cookies to improve your experience.</p></div>
+    <div class="cookie-consent">Accept all cookies</div>
+    <section id="res-cookie"><h2 id="set-cookie">res.cookie(name, value)</h2><p>Sets cookie name to value.</p></section>
+    <div class="document-cookie"><p>Reading document.cookie returns every cookie.</p></div>
+  `);
+  assert.match(content, /res\.cookie\(name, value\)/);
+  assert.match(content, /Sets cookie name to value/);
+  assert.match(content, /Reading document\.cookie/);
+  assert.doesNotMatch(content, /We use cookies|Accept all cookies/);
+});
+
+test('keeps prose with arrows and drops previous and next links', () => {
+  const content = extract(`
+    <p>Open Settings → Advanced →</p>
+    <ul><li>← Back up your data first</li></ul>
+    <div class="pagination"><a href="/docs/a">« Installation</a><span>Next</span></div>
+    <p><a href="/docs/b">Configuration →</a></p>
+  `);
+  assert.match(content, /Open Settings → Advanced →/);
+  assert.match(content, /← Back up your data first/);
+  assert.doesNotMatch(content, /Installation|Configuration|Next/);
+});
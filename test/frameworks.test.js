@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHtml, extractPageContent } from '../src/extract.js';
+import { createExtractors, detectFramework } from '../src/frameworks.js';
+
+const FILLER = '<p>This paragraph is here so the page has enough content to count as documentation.</p>';
+
+const DOCUSAURUS_PAGE = `<html><head><title>Install | Acme</title><meta name="generator" content="Docusaurus v3.1.0"></head>
+<body><div id="__docusaurus">
+  <nav class="navbar"><a href="/">Acme</a></nav>
+  <aside><ul class="theme-doc-sidebar-menu"><li><a href="/docs/install">Install</a></li></ul></aside>
+  <main><article>
+    <nav class="theme-doc-breadcrumbs"><a class="breadcrumbs__link" href="/docs/">Docs</a><a class="breadcrumbs__link" href="/docs/setup">Setup</a></nav>
+    <div class="theme-doc-version-banner">This is unreleased documentation.</div>
+    <div class="theme-doc-markdown markdown"><h1>Installing Acme</h1>${FILLER}<h2 id="npm">With npm</h2><p>Run the installer.</p></div>
+    <footer class="theme-doc-footer"><a href="/edit">Edit this page</a></footer>
+  </article></main>
+</div></body></html>`;
+
+test('frameworks are detected by their generator tag before their markup', () => {
+  assert.equal(detectFramework(loadHtml(DOCUSAURUS_PAGE)).name, 'Docusaurus');
+  assert.equal(detectFramework(loadHtml('<html><body><div class="md-container"></div></body></html>')).name, 'MkDocs');
+  assert.equal(detectFramework(loadHtml('<html><head><meta name="generator" content="Sphinx 7.2"></head><body><div class="md-container"></div></body></html>')).name, 'Sphinx');
+  assert.equal(detectFramework(loadHtml('<html><body><main></main></body></html>')), null);
+});
+
+test('a framework\'s content area, title and breadcrumbs are used and its chrome removed', () => {
+  const $ = loadHtml(DOCUSAURUS_PAGE);
+  const page = extractPageContent($, 'https://acme.dev/docs/install', detectFramework($));
+  assert.equal(page.framework, 'Docusaurus');
+  assert.equal(page.title, 'Installing Acme');
+  assert.deepEqual(page.breadcrumbs, ['Docs', 'Setup']);
+  assert.equal(page.headingIds.npm, 'With npm');
+  assert.match(page.content, /## With npm/);
+  assert.doesNotMatch(page.content, /unreleased documentation|Edit this page|Acme\]/);
+});
+
+test('custom extractors are checked and tried before the built-in ones', () => {
+  const extractors = createExtractors([{ name: 'Acme', generator: 'docusaurus', content: '.acme' }]);
+  assert.equal(detectFramework(loadHtml(DOCUSAURUS_PAGE), extractors).name, 'Acme');
+  assert.deepEqual(extractors[0].content, ['.acme']);
+
+  assert.throws(() => createExtractors({ name: 'Acme' }), /must be a list/);
+  assert.throws(() => createExtractors([{ name: 'Acme', content: 'main' }]), /Extractor "Acme" needs a "generator" pattern or a "markup" selector/);
+  assert.throws(() => createExtractors([{ markup: '.acme' }]), /Extractor 1 needs at least one "content" selector/);
+  assert.throws(() => createExtractors([{ generator: '(', content: 'main' }]), /invalid generator pattern/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderDocument } from '../src/markdown.js';
+import { createUrlCanonicalizer } from '../src/canonical.js';
+
+const GUIDE = `# Guide
+
+See [the reference](./reference/), [installing](reference#install), [by id](reference/#opt-retries) and [the FAQ](/docs/faq).
+Also [the blog](https://blog.example.org/post), [a PDF](/docs/manual.pdf), [part two](/docs/advanced) and ![logo](img/logo.png).
+
+Write \`[text](./reference)\` for a link.
+
+\`\`\`md
+[kept](./reference)
+\`\`\``;
+
+const REFERENCE = `# Reference
+
+## Install
+
+Run the installer.
+
+## Retries option
+
+Set the retry count.`;
+
+test('links between pages point at their anchors and missing pages are marked', () => {
+  const pages = [
+    { url: 'https://example.com/docs/guide', title: 'Guide', content: GUIDE },
+    { url: 'https://example.com/docs/reference/', title: 'Reference', content: REFERENCE, headingIds: { 'opt-retries': 'Retries option' } }
+  ];
+  const { content, links } = renderDocument('https://example.com/docs/', pages, {
+    partOf: new Map([['https://example.com/docs/advanced', 2]]),
+    key: createUrlCanonicalizer('https://example.com/docs/').key
+  });
+
+  assert.match(content, /See \[the reference\]\(#reference\), \[installing\]\(#install\), \[by id\]\(#retries-option\)/);
+  assert.match(content, /\[the FAQ\]\(https:\/\/example\.com\/docs\/faq\) \(not included\)/);
+  // Other sites and files of the docs' site aren't missing pages
+  assert.match(content, /\[the blog\]\(https:\/\/blog\.example\.org\/post\), \[a PDF\]\(https:\/\/example\.com\/docs\/manual\.pdf\), /);
+  assert.match(content, /\[part two\]\(https:\/\/example\.com\/docs\/advanced\) \(in part 2\)/);
+  assert.match(content, /!\[logo\]\(https:\/\/example\.com\/docs\/img\/logo\.png\)/);
+
+  // Links in code are left as written
+  assert.match(content, /`\[text\]\(\.\/reference\)`/);
+  assert.match(content, /\[kept\]\(\.\/reference\)/);
+
+  assert.equal(links.internal, 3);
+  assert.deepEqual(links.flagged, ['https://example.com/docs/faq']);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLocale, describeLeftOut, localeFromUrl, localeSegmentIndex } from '../src/locales.js';
+
+test('the start page language is kept when neither --lang nor the URL names one', () => {
+  assert.equal(resolveLocale(undefined, 'https://example.com/docs/', 'de'), 'de');
+  assert.equal(resolveLocale(undefined, 'https://example.com/ja/docs/', 'de'), 'ja');
+  assert.equal(resolveLocale('fr', 'https://example.com/docs/', 'de'), 'fr');
+  assert.equal(resolveLocale(undefined, 'https://example.com/docs/', null), 'en');
+});
+
+test('a crawl that left every page out for its language suggests --lang', () => {
+  const message = describeLeftOut({ selected: 'en', excluded: 3, locales: { fr: 1, de: 2 } });
+  assert.match(message, /left out for its language/);
+  assert.match(message, /--lang de/);
+  assert.equal(describeLeftOut({ selected: 'en', excluded: 0, locales: {} }), null);
+});
+
+test('page names that look like language codes are not locales', () => {
+  for (const url of ['https://example.com/docs/id', 'https://example.com/docs/vi', 'https://example.com/reference/it', 'https://example.com/api/ca/overview']) {
+    assert.equal(localeFromUrl(url, new Set()), null, url);
+  }
+  assert.equal(localeFromUrl('https://example.com/docs/id'), null);
+  assert.equal(resolveLocale(undefined, 'https://example.com/reference/it', null), 'en');
+});
+
+test('locale directories count where the start URL or hreflang put them', () => {
+  const positions = new Set([localeSegmentIndex('https://example.com/ja/docs/')]);
+  assert.equal(localeFromUrl('https://example.com/fr/docs/guide', positions), 'fr');
+  assert.equal(localeFromUrl('https://example.com/docs/ca/overview', positions), null);
+  assert.equal(localeSegmentIndex('https://example.com/docs/zh-cn/guide', 'zh-CN'), 1);
+  assert.equal(localeSegmentIndex('https://example.com/api/ca/overview', 'fr'), -1);
+});
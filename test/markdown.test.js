@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlugger, renderDocument, slugify } from '../src/markdown.js';
+
+test('anchors follow GitHub\'s rules and repeated headings are numbered', () => {
+  assert.equal(slugify('Install `acme` (v2.0)!'), 'install-acme-v20');
+  assert.equal(slugify('[Options](#options) & flags'), 'options--flags');
+  assert.equal(slugify('Über uns'), 'über-uns');
+
+  const slug = createSlugger();
+  assert.deepEqual(['Setup', 'Setup', 'Setup-1', 'Setup'].map(slug), ['setup', 'setup-1', 'setup-1-1', 'setup-2']);
+});
+
+test('pages nest below their navigation parents with their headings shifted below their titles', () => {
+  const pages = [
+    { url: 'https://x.com/docs/', title: 'Home', content: '# Home\n\nWelcome.\n\n## Setup\n\nFirst steps.', nav: { level: 0, parents: [] } },
+    { url: 'https://x.com/docs/cli/run', title: 'Run', content: '# Run\n\n### Setup\n\nRun it.\n\n#### Flags\n\nNone.', nav: { level: 1, parents: ['CLI'] } },
+    { url: 'https://x.com/docs/cli/build', title: 'Build', content: 'No title heading here.\n\n```sh\n# a comment, not a heading\n```', nav: { level: 1, parents: ['CLI'] } }
+  ];
+  const { content, anchors } = renderDocument('https://x.com/docs/', pages);
+
+  // One top-level heading, not counting lines in code blocks
+  assert.equal(content.replace(/```[\s\S]*?```/g, '').match(/^# /gm).length, 1);
+  assert.match(content, /## Table of Contents\n\n- \[Home\]\(#home\)\n- \[CLI\]\(#cli\)\n {2}- \[Run\]\(#run\)\n {2}- \[Build\]\(#build\)/);
+  assert.match(content, /## Home\n\nWelcome\.\n\n### Setup/);
+  assert.match(content, /## CLI\n\n---\n\n### Run\n\n#### Setup\n\nRun it\.\n\n##### Flags/);
+  assert.match(content, /### Build\n\nNo title heading here\.\n\n```sh\n# a comment, not a heading\n```/);
+  assert.deepEqual(anchors, { 'https://x.com/docs/': 'home', 'https://x.com/docs/cli/run': 'run', 'https://x.com/docs/cli/build': 'build' });
+});
+
+test('pages left out of the budget are listed in an appendix', () => {
+  const { content } = renderDocument('https://x.com/docs/', [], {
+    omitted: [{ url: 'https://x.com/docs/faq', title: 'FAQ' }],
+    maxTokens: 1000,
+    version: '2.x'
+  });
+  assert.match(content, /Version: 2\.x/);
+  assert.match(content, /## Omitted Pages\n\nThese pages were left out to fit the 1000-token budget:\n\n- \[FAQ\]\(https:\/\/x\.com\/docs\/faq\)/);
+});
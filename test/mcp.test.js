@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../src/mcp.js';
+import { buildIndex } from '../src/docindex.js';
+import { dataPath } from '../src/config.js';
+import { setConsoleLogging } from '../src/logger.js';
+import { setSilent } from '../src/ui.js';
+
+setSilent(true);
+setConsoleLogging(false);
+
+const PAGES = [
+  { url: 'https://x.com/docs/proxy', title: 'Proxies', content: '# Proxies\n\nSource: https://x.com/docs/proxy\n\n## Authentication\n\nPut proxy credentials in the proxy URL.' }
+];
+
+/**
+ * Connect a client to an MCP server over an in-memory transport
+ * @param {Object} defaults - Options for createMcpServer
+ * @returns {Promise<Client>} - Connected client
+ */
+async function connect(defaults) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer(defaults).connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+/**
+ * Call a tool and return its text
+ * @param {Client} client - Connected client
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Promise<{text: string, isError: boolean}>} - Text of the result and whether it is an error
+ */
+async function call(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  return { text: result.content[0].text, isError: Boolean(result.isError) };
+}
+
+test('agents can list, search and read scraped projects', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-mcp-'));
+  const client = await connect({ dataDir });
+  try {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), ['fetch_docs', 'get_page', 'list_projects', 'search_docs']);
+    assert.match((await call(client, 'list_projects')).text, /No projects have been scraped yet/);
+
+    await buildIndex('acme', 'https://x.com/docs/', PAGES, { dir: dataPath('index', dataDir) });
+    assert.match((await call(client, 'list_projects')).text, /^- acme: 1 pages, 1 chunks from https:\/\/x\.com\/docs\//);
+
+    const search = await call(client, 'search_docs', { project: 'acme', query: 'proxy credentials' });
+    assert.match(search.text, /^## 1\. Proxies > Authentication\n\nSource: https:\/\/x\.com\/docs\/proxy\n\n/);
+    assert.equal((await call(client, 'search_docs', { project: 'other', query: 'proxy' })).isError, true);
+
+    assert.equal((await call(client, 'get_page', { project: 'acme', url: 'https://x.com/docs/proxy' })).text, PAGES[0].content);
+    assert.equal((await call(client, 'get_page', { project: 'acme', url: 'https://x.com/docs/nope' })).isError, true);
+  } finally {
+    await client.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('fetch_docs reports invalid settings as tool errors', async () => {
+  const client = await connect({ prefix: '/api/' });
+  try {
+    const result = await call(client, 'fetch_docs', { project: 'acme', url: 'https://x.com/docs/', disableAI: true });
+    assert.equal(result.isError, true);
+    assert.match(result.text, /Scraping acme failed: --prefix \/api\/ doesn't contain the start URL/);
+  } finally {
+    await client.close();
+  }
+});
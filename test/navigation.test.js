@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderPages } from '../src/navigation.js';
+import { renderDocument } from '../src/markdown.js';
+import { createUrlCanonicalizer } from '../src/canonical.js';
+
+const START = 'https://example.com/docs/';
+
+/**
+ * Make a page whose URL is the one its redirect led to
+ * @param {string} path - Path of the page
+ * @param {string} title - Page title
+ * @param {string} body - Page markdown below the title
+ * @returns {Object} - Page
+ */
+function page(path, title, body) {
+  const url = `https://example.com${path}`;
+  return { url, title, content: `# ${title}\n\nSource: ${url}\n\n${body}` };
+}
+
+test('matches navigation entries and links to pages served under another form of their URL', () => {
+  const { key } = createUrlCanonicalizer(START);
+  const navTree = [
+    { title: 'Home', url: 'https://example.com/docs/', children: [] },
+    { title: 'Guide', url: 'https://example.com/docs/guide', children: [] },
+    { title: 'API', url: 'http://example.com/docs/api?tab=js', children: [] }
+  ];
+  const pages = [
+    page('/docs/', 'Home', 'Read the [guide](/docs/guide) first.'),
+    page('/docs/api/', 'API', 'See the [guide](https://example.com/docs/guide#top).'),
+    page('/docs/guide/', 'Guide', 'Then the [API](/docs/api).')
+  ];
+
+  const ordered = orderPages(pages, { navTree, startUrl: START, key });
+  assert.deepEqual(ordered.map(({ title }) => title), ['Home', 'Guide', 'API']);
+  assert.deepEqual(ordered.map(({ nav }) => nav.level), [0, 0, 0]);
+
+  const { content, links } = renderDocument(START, ordered, { key });
+  assert.ok(content.includes('Read the [guide](#guide) first.'));
+  assert.ok(content.includes('Then the [API](#api).'));
+  assert.ok(!content.includes('(not included)'));
+  assert.equal(links.internal, 3);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createEmbedder, createProvider } from '../src/providers.js';
+
+test('misconfigured providers are rejected before anything is sent', () => {
+  assert.throws(() => createProvider({ provider: 'gemini' }), /Unknown AI provider "gemini"/);
+  assert.throws(() => createProvider({ provider: 'openai-compatible', apiKey: 'k' }), /needs a model/);
+  assert.throws(() => createProvider({ provider: 'openai-compatible', apiKey: 'k', model: 'm' }), /needs an API URL/);
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
+  try {
+    assert.throws(() => createProvider({ provider: 'anthropic' }), /ANTHROPIC_API_KEY is not set/);
+  } finally {
+    if (apiKey !== undefined) process.env.ANTHROPIC_API_KEY = apiKey;
+  }
+  assert.throws(() => createEmbedder({ provider: 'anthropic', apiKey: 'k' }));
+
+  const local = createProvider({ provider: 'ollama' });
+  assert.deepEqual([local.model, local.maxTokens, local.id], ['llama3.1', 4000, 'ollama:llama3.1:0:4000']);
+});
+
+test('OpenAI-compatible and Anthropic responses are read the same way', async () => {
+  const bodies = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', data => { body += data; });
+    request.on('end', () => {
+      bodies.push({ url: request.url, ...JSON.parse(body) });
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(request.url.endsWith('/messages')
+        ? { id: 'msg', type: 'message', role: 'assistant', content: [{ type: 'text', text: '# Cleaned' }], stop_reason: 'max_tokens' }
+        : { id: 'chat', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: '# Cleaned' }, finish_reason: 'stop' }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const compatible = createProvider({ provider: 'openai-compatible', model: 'local-model', baseUrl: `${baseUrl}/v1`, apiKey: 'k', maxTokens: 100 });
+    assert.deepEqual(await compatible.complete({ system: 'Clean', user: 'Page' }), { content: '# Cleaned', truncated: false });
+    assert.equal(bodies[0].url, '/v1/chat/completions');
+    assert.deepEqual([bodies[0].model, bodies[0].temperature, bodies[0].max_tokens], ['local-model', 0, 100]);
+    assert.deepEqual(bodies[0].messages.map(message => message.role), ['system', 'user']);
+
+    const anthropic = createProvider({ provider: 'anthropic', baseUrl, apiKey: 'k' });
+    assert.deepEqual(await anthropic.complete({ system: 'Clean', user: 'Page' }), { content: '# Cleaned', truncated: true });
+    assert.equal(bodies[1].url, '/v1/messages');
+    assert.equal(bodies[1].system, 'Clean');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
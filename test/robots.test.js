@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createRobotsPolicy, fetchRobotsPolicy, parseRobotsTxt } from '../src/robots.js';
+import { createHttpClient } from '../src/http.js';
+
+const USER_AGENT = 'docs2context/0.1.0 (+https://github.com/snbafana/docs2context)';
+
+const ROBOTS_TXT = `
+# Everyone else
+User-agent: *
+Disallow: /
+
+User-agent: Docs2Context
+User-agent: other-bot
+Disallow: /docs/private/
+Allow: /docs/private/public.html
+Disallow: /*.pdf$
+Disallow: /search?
+Crawl-delay: 2
+
+Sitemap: https://x.com/sitemap.xml
+`;
+
+test('the group of the crawler\'s product token applies, with the longest rule winning', () => {
+  const robots = createRobotsPolicy(parseRobotsTxt(ROBOTS_TXT), USER_AGENT);
+  assert.ok(robots.isAllowed('https://x.com/docs/guide'));
+  assert.ok(!robots.isAllowed('https://x.com/docs/private/keys'));
+  assert.ok(robots.isAllowed('https://x.com/docs/private/public.html'));
+  assert.ok(!robots.isAllowed('https://x.com/docs/manual.pdf'));
+  assert.ok(robots.isAllowed('https://x.com/docs/manual.pdf?download=1'));
+  assert.ok(!robots.isAllowed('https://x.com/search?q=install'));
+  assert.ok(robots.isAllowed('https://x.com/robots.txt'));
+  assert.equal(robots.crawlDelay, 2);
+  assert.deepEqual(robots.sitemaps, ['https://x.com/sitemap.xml']);
+
+  const others = createRobotsPolicy(parseRobotsTxt(ROBOTS_TXT), 'SomeBot/1.0');
+  assert.ok(!others.isAllowed('https://x.com/docs/guide'));
+  assert.equal(others.crawlDelay, null);
+});
+
+test('a missing robots.txt allows everything and an unavailable one nothing', async () => {
+  const respond = status => ({ userAgent: USER_AGENT, get: async () => ({ status, data: 'Not here' }) });
+  assert.ok((await fetchRobotsPolicy('https://x.com', respond(404))).isAllowed('https://x.com/docs/'));
+
+  const failing = await fetchRobotsPolicy('https://x.com', respond(503));
+  assert.ok(!failing.isAllowed('https://x.com/docs/'));
+  assert.match(failing.unavailableReason, /HTTP 503/);
+
+  const unreachable = await fetchRobotsPolicy('https://x.com', { userAgent: USER_AGENT, get: async () => { throw new Error('ECONNREFUSED'); } });
+  assert.ok(!unreachable.isAllowed('https://x.com/docs/'));
+});
+
+test('requests to a host are spaced by the larger of --delay and its crawl delay', async () => {
+  let requests = 0;
+  const agents = new Set();
+  const server = http.createServer((request, response) => {
+    requests++;
+    agents.add(request.headers['user-agent']);
+    response.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    const client = createHttpClient({ delay: 50 });
+    client.setHostDelay('127.0.0.1', 150);
+    assert.equal(client.getHostDelay('127.0.0.1'), 150);
+    assert.equal(client.getHostDelay('example.com'), 50);
+
+    // The second request waits one delay and the third two, timers may fire a little early
+    const start = Date.now();
+    await Promise.all([client.get(url), client.get(url), client.get(url)]);
+    assert.equal(requests, 3);
+    assert.ok(Date.now() - start >= 290, `three requests took ${Date.now() - start}ms`);
+    assert.deepEqual(Array.from(agents), [USER_AGENT]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPatterns, checkPrefix, createScope } from '../src/scope.js';
+
+test('invalid include and exclude patterns are rejected before crawling', () => {
+  assert.doesNotThrow(() => checkPatterns(['/docs/**', '/\\/changelog/i'], 'exclude'));
+  assert.doesNotThrow(() => checkPatterns(undefined, 'include'));
+  assert.throws(() => checkPatterns(['/foo(/'], 'exclude'), /Invalid exclude pattern \/foo\(\//);
+  assert.throws(() => checkPatterns('/docs/**', 'include'), /include must be a list/);
+});
+
+test('--prefix confines the crawl to whole directories', () => {
+  for (const prefix of ['/docs', 'docs/', 'docs']) {
+    const scope = createScope('https://example.com/docs/intro', { prefix });
+    assert.equal(scope.prefix, '/docs/', prefix);
+    assert.ok(scope.canCrawl('https://example.com/docs/intro'), prefix);
+    assert.ok(scope.canCrawl('https://example.com/docs'), prefix);
+    assert.ok(!scope.canCrawl('https://example.com/docs-archive/intro'), prefix);
+    assert.ok(!scope.canCrawl('https://example.com/docsearch'), prefix);
+  }
+});
+
+test('a --prefix that doesn\'t contain the start URL is rejected', () => {
+  assert.doesNotThrow(() => checkPrefix('docs/', 'https://example.com/docs/intro'));
+  assert.doesNotThrow(() => checkPrefix('/docs', 'https://example.com/docs'));
+  assert.throws(() => checkPrefix('/docs', 'https://example.com/docs-archive/intro'), /--prefix \/docs\/ doesn't contain the start URL/);
+  assert.throws(() => checkPrefix('/api/', 'https://example.com/docs/'), /doesn't contain the start URL/);
+  assert.throws(() => checkPrefix('  ', 'https://example.com/docs/'), /must be a path/);
+});
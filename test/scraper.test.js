@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { scrapeContent } from '../src/scraper.js';
+import { setSilent } from '../src/ui.js';
+import { setConsoleLogging } from '../src/logger.js';
+
+setSilent(true);
+setConsoleLogging(false);
+
+const FILLER = '<p>This paragraph is here so the page has enough content to count as documentation.</p>';
+
+/**
+ * Render a docs page linking to others
+ * @param {string} title - Page title
+ * @param {string[]} links - Hrefs the page links to
+ * @returns {string} - Page HTML
+ */
+function docsPage(title, links) {
+  const list = links.map(href => `<li><a href="${href}">${href}</a></li>`).join('');
+  return `<html><head><title>${title}</title></head><body><main><h1>${title}</h1>${FILLER}<ul>${list}</ul></main></body></html>`;
+}
+
+const SITE = {
+  '/docs/': docsPage('Home', ['intro', 'guide/', 'guide/index.html#setup', '/docs/intro?utm_source=nav']),
+  '/docs/intro': docsPage('Intro', ['/docs/', 'guide/', './guide']),
+  '/docs/guide/': docsPage('Guide', ['../intro#top', '../', '/docs/guide'])
+};
+
+test('every page is fetched once however many ways it is linked', async () => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push(request.url);
+    const body = SITE[request.url.split('?')[0]];
+    if (!body) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-scraper-'));
+  try {
+    const startUrl = `http://127.0.0.1:${server.address().port}/docs/`;
+    const result = await scrapeContent(startUrl, { disableAI: true, sitemap: 'off', dataDir });
+
+    assert.deepEqual(result.pages.map(page => page.title).sort(), ['Guide', 'Home', 'Intro']);
+    const pageRequests = requests.filter(url => url !== '/robots.txt');
+    assert.deepEqual(pageRequests.sort(), ['/docs/', '/docs/guide/', '/docs/intro']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
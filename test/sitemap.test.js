@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { discoverSitemapUrls, parseSitemap } from '../src/sitemap.js';
+import { createRobotsPolicy, parseRobotsTxt } from '../src/robots.js';
+
+/**
+ * Make an HTTP client serving fixed responses
+ * @param {Object<string, string|Buffer>} responses - Response bodies by URL
+ * @param {string[]} requested - Receives every URL requested
+ * @returns {Object} - HTTP client
+ */
+function fakeHttp(responses, requested) {
+  return {
+    async get(url) {
+      requested.push(url);
+      if (!(url in responses)) throw new Error('Request failed with status code 404');
+      return { data: Buffer.from(responses[url]) };
+    }
+  };
+}
+
+/**
+ * Make a robots policy from robots.txt text
+ * @param {string} text - robots.txt content
+ * @returns {Object} - Robots policy
+ */
+function robotsPolicy(text) {
+  return createRobotsPolicy(parseRobotsTxt(text), 'docs2context');
+}
+
+const urlset = (...urls) => `<?xml version="1.0"?><urlset>${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</urlset>`;
+
+test('parses page entries and sitemap index entries', () => {
+  assert.deepEqual(parseSitemap(urlset('https://x.com/docs/a', 'https://x.com/docs/b')), {
+    pages: ['https://x.com/docs/a', 'https://x.com/docs/b'],
+    sitemaps: []
+  });
+  assert.deepEqual(parseSitemap('<sitemapindex><sitemap><loc> https://x.com/s1.xml </loc></sitemap></sitemapindex>'), {
+    pages: [],
+    sitemaps: ['https://x.com/s1.xml']
+  });
+});
+
+test('follows sitemap indexes into gzipped sitemaps', async () => {
+  const requested = [];
+  const http = fakeHttp({
+    'https://x.com/sitemap.xml': '<sitemapindex><sitemap><loc>https://x.com/docs.xml.gz</loc></sitemap></sitemapindex>',
+    'https://x.com/docs.xml.gz': zlib.gzipSync(urlset('https://x.com/docs/a', 'https://x.com/docs/b'))
+  }, requested);
+
+  const pages = await discoverSitemapUrls('https://x.com/docs/', http, robotsPolicy(''));
+  assert.deepEqual(pages, ['https://x.com/docs/a', 'https://x.com/docs/b']);
+  assert.deepEqual(requested, ['https://x.com/docs/sitemap.xml', 'https://x.com/sitemap.xml', 'https://x.com/docs.xml.gz']);
+});
+
+test('sitemaps disallowed by robots.txt are not fetched', async () => {
+  const requested = [];
+  const http = fakeHttp({
+    'https://x.com/sitemaps/index.xml': '<sitemapindex><sitemap><loc>https://x.com/private/pages.xml</loc></sitemap><sitemap><loc>https://x.com/sitemaps/docs.xml</loc></sitemap></sitemapindex>',
+    'https://x.com/private/pages.xml': urlset('https://x.com/private/a'),
+    'https://x.com/sitemaps/docs.xml': urlset('https://x.com/docs/a')
+  }, requested);
+  const robots = robotsPolicy('User-agent: *\nDisallow: /private/\nSitemap: https://x.com/sitemaps/index.xml');
+
+  assert.deepEqual(await discoverSitemapUrls('https://x.com/docs/', http, robots), ['https://x.com/docs/a']);
+  assert.ok(!requested.includes('https://x.com/private/pages.xml'));
+
+  requested.length = 0;
+  assert.deepEqual(await discoverSitemapUrls('https://x.com/docs/', http, robotsPolicy('User-agent: *\nDisallow: /')), []);
+  assert.deepEqual(requested, []);
+});
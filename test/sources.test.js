@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSources, renderBundle, resolveSourceOptions } from '../src/sources.js';
+import { createUrlCanonicalizer } from '../src/canonical.js';
+
+test('manifests without usable sources are rejected', () => {
+  assert.doesNotThrow(() => checkSources({ sources: [{ name: 'api', url: 'https://x.com/api/' }], bundle: 'per-source' }));
+  assert.throws(() => checkSources({}), /lists no sources/);
+  assert.throws(() => checkSources({ sources: [{ url: 'https://x.com/' }] }), /Source 1 needs a name/);
+  assert.throws(() => checkSources({ sources: [{ name: 'API', url: 'https://x.com/a/' }, { name: 'api', url: 'https://x.com/b/' }] }), /"api" is used twice/);
+  assert.throws(() => checkSources({ sources: [{ name: 'api', url: 'ftp://x.com/' }] }), /needs an http\(s\) url/);
+  assert.throws(() => checkSources({ sources: [{ name: 'api', url: 'https://x.com/' }], bundle: 'zip' }), /Invalid bundle mode "zip"/);
+});
+
+test('source options layer the manifest, the source and the command line', () => {
+  const config = { project: 'acme', output: 'out.md', maxPages: 50, disableAI: false, ai: { provider: 'openai', model: 'a' }, sources: [] };
+  const source = { name: 'api', url: 'https://x.com/api/', maxPages: 10, ai: { model: 'b' } };
+  const options = resolveSourceOptions(config, source, { disableAI: true });
+  assert.deepEqual(options, { maxPages: 10, disableAI: true, ai: { provider: 'openai', model: 'b' } });
+});
+
+test('sources become top-level sections and links between them point at their pages', () => {
+  const result = (url, pages) => ({
+    pages: pages.map(([path, title, body]) => ({ url: `${url}${path}`, title, content: `# ${title}\n\n${body}` })),
+    pageKey: createUrlCanonicalizer(url).key,
+    version: null
+  });
+  const bundle = renderBundle([
+    { name: 'Guide', url: 'https://x.com/guide/', result: result('https://x.com/guide/', [['start', 'Start', 'Call [connect](/api/connect/) first.']]) },
+    { name: 'API', url: 'https://x.com/api/', result: result('https://x.com/api/', [['connect', 'connect()', 'Back to [start](https://x.com/guide/start).']]) }
+  ]);
+
+  assert.match(bundle.content, /Automatically aggregated documentation from 2 sources:\n\n- Guide: https:\/\/x\.com\/guide\/\n- API: https:\/\/x\.com\/api\//);
+  assert.match(bundle.content, /## Guide\n\n---\n\n### Start/);
+  assert.match(bundle.content, /Call \[connect\]\(#connect\) first\./);
+  assert.match(bundle.content, /Back to \[start\]\(#start\)\./);
+  assert.deepEqual(bundle.pages.map(page => page.source), ['Guide', 'API']);
+  assert.equal(bundle.links.internal, 2);
+});
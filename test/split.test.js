@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupPagesBySection, renderPartIndex, splitIntoParts } from '../src/split.js';
+
+/**
+ * Make a page that takes up a given number of bytes in a part
+ * @param {string} path - URL path of the page
+ * @param {number} [bytes] - Size in the part, title and overhead included
+ * @returns {Object} - Page
+ */
+function page(path, bytes = 100) {
+  // One-letter title, counted twice, plus 32 bytes of overhead
+  return { url: `https://x.com${path}`, title: 'p', content: 'x'.repeat(bytes - 34) };
+}
+
+/**
+ * Describe parts by the paths of their pages
+ * @param {Array<Object>} parts - Parts from splitIntoParts
+ * @returns {string[][]} - Page paths of each part
+ */
+function layout(parts) {
+  return parts.map(part => part.sections.flatMap(section => section.pages.map(({ url }) => new URL(url).pathname)));
+}
+
+test('pages are grouped by the first directory below the shared one', () => {
+  const pages = [page('/docs/intro'), page('/docs/api/a'), page('/docs/guide/b'), page('/docs/api/c')];
+  assert.deepEqual(groupPagesBySection(pages).map(({ name, path, pages }) => [name, path, pages.length]), [
+    ['Overview', '/docs/', 1],
+    ['api', '/docs/api/', 2],
+    ['guide', '/docs/guide/', 1]
+  ]);
+  assert.deepEqual(groupPagesBySection(pages, { contiguous: true }).map(({ name }) => name), ['Overview', 'api', 'guide', 'api']);
+});
+
+test('parts break between sections when a section fits in a part of its own', () => {
+  const pages = [page('/docs/a/1'), page('/docs/a/2'), page('/docs/b/1'), page('/docs/b/2'), page('/docs/c/1', 400)];
+  assert.deepEqual(layout(splitIntoParts(pages, { maxBytes: 250 })), [
+    ['/docs/a/1', '/docs/a/2'],
+    ['/docs/b/1', '/docs/b/2'],
+    ['/docs/c/1']
+  ]);
+});
+
+test('a section larger than a part is split between its pages', () => {
+  const pages = [page('/docs/a/1'), page('/docs/b/1'), page('/docs/b/2'), page('/docs/b/3')];
+  const parts = splitIntoParts(pages, { maxBytes: 250 });
+  assert.deepEqual(layout(parts), [['/docs/a/1', '/docs/b/1'], ['/docs/b/2', '/docs/b/3']]);
+  assert.deepEqual(parts.map(part => part.sections.map(({ name }) => name)), [['a', 'b'], ['b']]);
+});
+
+test('the header of every part counts against its limit', () => {
+  const pages = [page('/docs/a/1'), page('/docs/a/2')];
+  assert.equal(splitIntoParts(pages, { maxBytes: 200 }).length, 1);
+  assert.equal(splitIntoParts(pages, { maxBytes: 200, reserved: { tokens: 0, bytes: 1 } }).length, 2);
+  assert.equal(splitIntoParts(pages, { maxTokens: 1000000 }).length, 1);
+});
+
+test('the part index links every page into its part', () => {
+  const [first] = splitIntoParts([page('/docs/a/1')], { maxBytes: 250 });
+  const index = renderPartIndex('https://x.com/docs/', [{ ...first, file: 'x-docs-part-1.md', anchors: { 'https://x.com/docs/a/1': 'p' }, tokens: 30, bytes: 100 }], '2.x');
+  assert.match(index, /split into 1 parts/);
+  assert.match(index, /Version: 2\.x/);
+  assert.match(index, /## Part 1: \[x-docs-part-1\.md\]\(x-docs-part-1\.md\)/);
+  assert.match(index, /- Overview \(`\/docs\/a\/`\)\n {2}- \[p\]\(x-docs-part-1\.md#p\)/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyCleaning } from '../src/verify.js';
+import { cleanMarkdownWithAI } from '../src/cleaner.js';
+import { setConsoleLogging } from '../src/logger.js';
+
+setConsoleLogging(false);
+
+const ORIGINAL = `# Configuration
+
+Skip to content | Edit this page
+
+Call \`createClient(options)\` and set \`options.retryLimit\` before the first request.
+See https://example.com/docs/retries for the details of request_timeout handling.
+
+\`\`\`js
+const client = createClient({ retryLimit: 3 });
+\`\`\`
+`;
+
+const CLEANED = `# Configuration
+
+Call \`createClient(options)\` and set \`options.retryLimit\` before the first request.
+See https://example.com/docs/retries for the details of request_timeout handling.
+
+\`\`\`js
+const client = createClient({ retryLimit: 3 });
+\`\`\`
+`;
+
+test('cleaning that only removes chrome passes verification', () => {
+  assert.deepEqual(verifyCleaning(ORIGINAL, CLEANED), { ok: true, issues: [] });
+  // Trailing whitespace in code doesn't count as a change
+  assert.ok(verifyCleaning(ORIGINAL, CLEANED.replace('3 });', '3 });   ')).ok);
+});
+
+test('changed, added and invented code is reported', () => {
+  const changed = verifyCleaning(ORIGINAL, CLEANED.replace('retryLimit: 3', 'retryLimit: 5'));
+  assert.equal(changed.ok, false);
+  assert.ok(changed.issues.includes('1 code block(s) changed or removed'));
+  assert.ok(changed.issues.includes('1 code block(s) added'));
+
+  const invented = verifyCleaning(ORIGINAL, `${CLEANED}\nYou can also call \`client.reset()\`.`);
+  assert.deepEqual(invented.issues, ['new inline code not in the original: client.reset()']);
+});
+
+test('dropped identifiers and URLs are reported', () => {
+  const stripped = verifyCleaning(ORIGINAL, CLEANED.replace(/Call[\s\S]*handling\./, 'Create a client before the first request.'));
+  assert.equal(stripped.ok, false);
+  assert.match(stripped.issues.join('\n'), /identifiers missing: .*options\.retryLimit/);
+  assert.match(stripped.issues.join('\n'), /1 of 1 URLs missing/);
+});
+
+/**
+ * Make a provider that returns the given responses in turn
+ * @param {string[]} responses - Cleaned markdown to return
+ * @returns {Object} - Provider with the prompts it received in `prompts`
+ */
+function scriptedProvider(responses) {
+  const prompts = [];
+  return {
+    model: 'test',
+    maxTokens: 4096,
+    prompts,
+    async complete({ user }) {
+      prompts.push(user);
+      return { content: responses[Math.min(prompts.length, responses.length) - 1], truncated: false };
+    }
+  };
+}
+
+test('a rejected cleaning is retried with the reasons, then falls back to the original', async () => {
+  const broken = CLEANED.replace('retryLimit: 3', 'retryLimit: 5');
+
+  const retried = scriptedProvider([broken, CLEANED]);
+  const fixed = await cleanMarkdownWithAI(retried, ORIGINAL, 'Configuration', 'https://example.com/docs/config');
+  assert.equal(fixed.content, CLEANED.trim());
+  assert.equal(fixed.verification.status, 'retried');
+  assert.match(retried.prompts[1], /A previous attempt was rejected because: 1 code block\(s\) changed or removed/);
+
+  const stubborn = scriptedProvider([broken]);
+  const kept = await cleanMarkdownWithAI(stubborn, ORIGINAL, 'Configuration', 'https://example.com/docs/config');
+  assert.equal(kept.content, ORIGINAL);
+  assert.equal(kept.verification.status, 'original');
+  assert.equal(stubborn.prompts.length, 2);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHtml } from '../src/extract.js';
+import { detectVersions } from '../src/versions.js';
+
+/**
+ * Detect the versions of a page with the given body
+ * @param {string} body - Body HTML
+ * @param {string} pageUrl - URL of the page
+ * @returns {string[]} - Labels of the versions found, sorted
+ */
+function versionLabels(body, pageUrl) {
+  return detectVersions(loadHtml(`<html><body>${body}</body></html>`), pageUrl).versions.map(version => version.label).sort();
+}
+
+test('version switchers are found by whole words of their class or id', () => {
+  const links = '<a href="/docs/1.x/guide">1.x</a><a href="/docs/2.x/guide">2.x</a>';
+  const page = 'https://example.com/docs/2.x/guide';
+  assert.deepEqual(versionLabels(`<div class="navbar version-switcher">${links}</div>`, page), ['1.x', '2.x']);
+  assert.deepEqual(versionLabels(`<div id="versionPicker">${links}</div>`, page), ['1.x', '2.x']);
+  assert.deepEqual(versionLabels(`<select class="versions"><option value="/docs/1.x/guide">1.x</option><option value="/docs/2.x/guide">2.x</option></select>`, page), ['1.x', '2.x']);
+
+
+  // Only the page's own version is left when the links aren't a switcher
+  assert.deepEqual(versionLabels(`<table class="unit-conversion">${links}</table>`, page), ['2.x']);
+  assert.deepEqual(versionLabels(`<section id="versioning-guide">${links}</section>`, page), ['2.x']);
+  assert.deepEqual(versionLabels(`<div class="inversion">${links}</div>`, page), ['2.x']);
+});
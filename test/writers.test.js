@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeOutput } from '../src/writers.js';
+
+/**
+ * Make a page for the writers
+ * @param {string} url - Page URL
+ * @returns {Object} - Page
+ */
+function page(url) {
+  return { url, title: 'Page', content: `# Page\n\nSource: ${url}\n\nText.` };
+}
+
+test('tree output stays inside the output directory whatever the URLs', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs2context-writers-'));
+  try {
+    const output = path.join(dir, 'out');
+    const { files } = await writeOutput('tree', { pages: [
+      page('https://x.com/docs/..%2F..%2F..%2Fpwned'),
+      page('https://x.com/docs/%2E%2E/%2E%2E/escape'),
+      page('https://x.com/docs/bad%E0%A4%A'),
+      page('https://x.com/docs/guide/'),
+      page('https://x.com/docs/guide/index.html')
+    ] }, { projectName: 'x', source: 'https://x.com/docs/', output });
+
+    assert.equal(files.length, 5);
+    for (const file of files) {
+      assert.ok(path.resolve(file).startsWith(output + path.sep), `${file} is outside ${output}`);
+    }
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['out']);
+    assert.ok(files.includes(path.join(output, 'docs', 'bad%E0%A4%A.md')));
+    assert.ok(files.includes(path.join(output, 'docs', 'guide', 'index-2.md')));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});